@@ -0,0 +1,5 @@
+/**
+ * DevTools 入口页
+ * 注册「JSON 结构」面板，面板直接复用 popup 页面，由 popup.js 识别 DevTools 环境并开启网络请求捕获
+ */
+chrome.devtools.panels.create('JSON 结构', 'icons/icon16.png', 'popup/popup.html')
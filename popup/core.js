@@ -0,0 +1,5481 @@
+/**
+ * JSON 数据结构提取器 - 核心逻辑
+ * 不依赖 DOM，由弹窗页面（popup.js）与后台解析线程（worker.js）共用：解析、类型推断、各输出格式生成、Mock 数据
+ */
+
+// ==================== 工具函数 ====================
+
+/**
+ * HTML 转义（不依赖 DOM，可在 Worker 中使用）
+ */
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * 获取值的类型
+ */
+function getType(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  return typeof value
+}
+
+/**
+ * 统计 JSON 信息
+ */
+function getJsonStats(data) {
+  let count = { keys: 0, depth: 0 }
+  function traverse(obj, depth = 0) {
+    if (depth > count.depth) count.depth = depth
+    if (Array.isArray(obj)) {
+      obj.forEach(item => traverse(item, depth + 1))
+    } else if (obj && typeof obj === 'object') {
+      const keys = Object.keys(obj)
+      count.keys += keys.length
+      keys.forEach(key => traverse(obj[key], depth + 1))
+    }
+  }
+  traverse(data)
+  return count
+}
+
+/**
+ * 输入统计文案，多文档时统计文档数与解析失败数
+ */
+function formatInputStats(data, repairs, documents) {
+  const stats = getJsonStats(data)
+  const parts = documents
+    ? [`${documents.count} 个文档`, `${stats.keys} 个键`]
+    : [`${stats.keys} 个键`, `${stats.depth} 层`]
+  if (documents && documents.errors.length > 0) parts.push(`${documents.errors.length} 处错误`)
+  if (repairs.length > 0) parts.push('需修复')
+  return parts.join(' · ')
+}
+
+// ==================== 核心功能：宽松解析 ====================
+
+const STRICT_NUMBER_PATTERN = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y
+const LOOSE_NUMBER_PATTERN = /[+-]?(?:0[xX][\da-fA-F]+|Infinity|NaN|(?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d+)?)/y
+const LOOSE_IDENTIFIER_PATTERN = /[A-Za-z_$][\w$]*/y
+// 未加引号的键名允许任意语言的字母与数字，如 {名字: 1}
+const LOOSE_KEY_PATTERN = /[\p{L}\p{N}_$-]+/uy
+
+// 非 JSON 字面量及其修复说明
+const LOOSE_LITERALS = {
+  True: { value: true, label: 'Python 字面量' },
+  False: { value: false, label: 'Python 字面量' },
+  None: { value: null, label: 'Python 字面量' },
+  undefined: { value: null, label: 'undefined' },
+  NaN: { value: null, label: 'NaN / Infinity' },
+  Infinity: { value: null, label: 'NaN / Infinity' }
+}
+
+const STRING_ESCAPES = { '"': '"', "'": "'", '`': '`', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', 0: '\0' }
+
+/**
+ * 解析输入文本
+ * 优先使用 JSON.parse；失败时用逐字符解析器定位错误行列，
+ * 开启宽松解析时兼容 JSON5 / JSONC / JS 对象字面量 / Python repr 并自动修复为标准 JSON
+ * 第一个值之后仍有内容时按多文档（NDJSON / 拼接的 JSON）解析
+ * 返回 { data, repairs, documents }，repairs 为应用过的修复项；多文档时 data 为文档数组，
+ * documents 为 { count, errors }；options.onProgress 接收多文档解析进度（0~1）
+ */
+function parseJsonInput(text, options = {}) {
+  const tolerant = options.tolerantParse !== false
+
+  try {
+    return { data: JSON.parse(text), repairs: [], documents: null }
+  } catch (nativeError) {
+    let result
+    try {
+      result = parseLooseJson(text, { tolerant })
+    } catch (error) {
+      if (!error.trailingContent) throw error
+      return parseJsonDocuments(text, tolerant, options.onProgress)
+    }
+    // 严格模式下两者结论应一致，万一不一致以原生错误为准
+    if (result.repairs.length === 0 && !tolerant) throw nativeError
+    return { ...result, documents: null }
+  }
+}
+
+/**
+ * 解析多文档输入（NDJSON / JSON Lines / 首尾相接的多个 JSON）
+ * 每行优先整体 JSON.parse，失败再从当前位置解析一个值；
+ * 出错的文档记录行号后跳到下一个以 { 或 [ 开头的行继续，不影响其他文档
+ */
+function parseJsonDocuments(text, tolerant = true, onProgress = null) {
+  const docs = []
+  const errors = []
+  const repairs = new Set()
+  const nonSpace = /\S/g
+  // 进度按 1% 步进回报，避免大文件逐行发消息
+  const progressStep = Math.max(1, Math.floor(text.length / 100))
+  let nextProgress = progressStep
+  let pos = 0
+
+  while (pos < text.length) {
+    nonSpace.lastIndex = pos
+    if (!nonSpace.test(text)) break
+    pos = nonSpace.lastIndex - 1
+
+    if (onProgress && pos >= nextProgress) {
+      onProgress(pos / text.length)
+      nextProgress = pos + progressStep
+    }
+
+    let lineEnd = text.indexOf('\n', pos)
+    if (lineEnd === -1) lineEnd = text.length
+
+    try {
+      docs.push(JSON.parse(text.slice(pos, lineEnd)))
+      pos = lineEnd
+      continue
+    } catch {
+      // 单行不是完整文档，继续按位置解析
+    }
+
+    try {
+      const result = parseLooseJson(text, { tolerant, start: pos, partial: true })
+      docs.push(result.data)
+      result.repairs.forEach(label => repairs.add(label))
+      pos = result.end
+    } catch (error) {
+      // 按出错文档的起始位置报告，行内错误可能落在文档后续行
+      const { line } = createParseError('', text, pos)
+      errors.push({ line, message: `第 ${line} 行开始的文档解析失败：${error.reason ?? error.message}`, offset: pos })
+      const nextDocument = /\n\s*[{[]/g
+      nextDocument.lastIndex = lineEnd
+      const next = nextDocument.exec(text)
+      pos = next ? next.index + 1 : text.length
+    }
+  }
+
+  if (docs.length === 0) {
+    const error = createParseError(errors.length > 0 ? '所有文档均解析失败' : '没有可解析的文档', text, errors[0]?.offset ?? 0)
+    throw error
+  }
+
+  return { data: docs, repairs: Array.from(repairs), documents: { count: docs.length, errors } }
+}
+
+/**
+ * 创建带行列信息的解析错误
+ */
+function createParseError(message, text, offset) {
+  const before = text.slice(0, offset)
+  const line = before.split('\n').length
+  const column = offset - before.lastIndexOf('\n')
+  const error = new Error(`${message}（第 ${line} 行，第 ${column} 列）`)
+  return Object.assign(error, { line, column, offset, reason: message })
+}
+
+/**
+ * 逐字符解析 JSON 及其宽松变体
+ * tolerant 为 false 时只接受标准 JSON，用于给出精确的错误位置；
+ * partial 为 true 时只从 start 处解析一个值，返回结束位置 end
+ */
+function parseLooseJson(text, { tolerant = true, start = 0, partial = false } = {}) {
+  const repairs = new Set()
+  let pos = start
+
+  const fail = (message, at = pos) => {
+    throw createParseError(message, text, at)
+  }
+  // 遇到非标准语法：宽松模式记录修复项，严格模式直接报错
+  const repair = (label, strictMessage, at = pos) => {
+    if (!tolerant) fail(strictMessage || `${label}不是合法的 JSON 语法`, at)
+    repairs.add(label)
+  }
+
+  const skipWhitespace = () => {
+    while (pos < text.length) {
+      const char = text[pos]
+      if (/\s/.test(char)) {
+        pos++
+      } else if (char === '/' && text[pos + 1] === '/' || char === '#') {
+        repair('注释')
+        const end = text.indexOf('\n', pos)
+        pos = end === -1 ? text.length : end
+      } else if (char === '/' && text[pos + 1] === '*') {
+        repair('注释')
+        const end = text.indexOf('*/', pos + 2)
+        if (end === -1) fail('块注释未闭合')
+        pos = end + 2
+      } else {
+        break
+      }
+    }
+  }
+
+  const readPattern = (pattern) => {
+    pattern.lastIndex = pos
+    const match = pattern.exec(text)
+    return match ? match[0] : null
+  }
+
+  const parseString = () => {
+    const quote = text[pos]
+    const start = pos
+    if (quote !== '"') repair('单引号字符串', '字符串必须使用双引号')
+    pos++
+
+    let result = ''
+    let chunkStart = pos
+    while (pos < text.length) {
+      const char = text[pos]
+      if (char === quote) {
+        result += text.slice(chunkStart, pos)
+        pos++
+        return result
+      }
+
+      if (char === '\\') {
+        result += text.slice(chunkStart, pos)
+        const escape = text[pos + 1]
+        if (escape === 'u' && /^[\da-fA-F]{4}$/.test(text.slice(pos + 2, pos + 6))) {
+          result += String.fromCharCode(parseInt(text.slice(pos + 2, pos + 6), 16))
+          pos += 6
+        } else if (escape === 'x' && /^[\da-fA-F]{2}$/.test(text.slice(pos + 2, pos + 4))) {
+          repair('非标准转义', '无效的转义字符 "\\x"')
+          result += String.fromCharCode(parseInt(text.slice(pos + 2, pos + 4), 16))
+          pos += 4
+        } else if (escape === '\n' || escape === '\r') {
+          // 行尾续行
+          repair('非标准转义', '无效的转义字符')
+          pos += escape === '\r' && text[pos + 2] === '\n' ? 3 : 2
+        } else if (escape !== undefined && STRING_ESCAPES[escape] !== undefined) {
+          if (!'"\\/bfnrtu'.includes(escape)) repair('非标准转义', `无效的转义字符 "\\${escape}"`)
+          result += STRING_ESCAPES[escape]
+          pos += 2
+        } else {
+          fail(`无效的转义字符 "\\${escape ?? ''}"`)
+        }
+        chunkStart = pos
+        continue
+      }
+
+      if (char < ' ') {
+        if (char === '\n' && quote !== '`') fail('字符串未闭合', start)
+        repair('字符串中的控制字符', '字符串中不能直接包含控制字符')
+      }
+      pos++
+    }
+
+    return fail('字符串未闭合', start)
+  }
+
+  const parseNumber = () => {
+    const strict = readPattern(STRICT_NUMBER_PATTERN)
+    if (strict !== null && !/[\w.]/.test(text[pos + strict.length] || '')) {
+      pos += strict.length
+      return Number(strict)
+    }
+
+    const loose = readPattern(LOOSE_NUMBER_PATTERN)
+    if (!loose) fail('无效的数字')
+    repair(/Infinity|NaN/.test(loose) ? 'NaN / Infinity' : '非标准数字', '无效的数字')
+    pos += loose.length
+
+    const sign = loose[0] === '-' ? -1 : 1
+    const value = Number(loose.replace(/^[+-]/, '').replace(/_/g, '')) * sign
+    // JSON 无法表示 NaN / Infinity，统一转为 null
+    return Number.isFinite(value) ? value : null
+  }
+
+  const parseWord = () => {
+    const start = pos
+    const word = readPattern(LOOSE_IDENTIFIER_PATTERN)
+    pos += word.length
+
+    if (word === 'true' || word === 'false') return word === 'true'
+    if (word === 'null') return null
+
+    // Python u'' / b'' 字符串前缀
+    if ((word === 'u' || word === 'b') && (text[pos] === '"' || text[pos] === "'")) {
+      repair('Python 字符串前缀', undefined, start)
+      return parseString()
+    }
+
+    const literal = LOOSE_LITERALS[word]
+    if (!literal) fail(`无法识别的值 "${word}"`, start)
+    repair(literal.label, `无法识别的值 "${word}"`, start)
+    return literal.value
+  }
+
+  const parseObjectKey = () => {
+    const char = text[pos]
+    if (char === '"' || char === "'" || char === '`') return parseString()
+
+    const key = readPattern(LOOSE_KEY_PATTERN)
+    if (!key) fail('期望键名')
+    repair('未加引号的键名', '键名必须使用双引号')
+    pos += key.length
+    return key
+  }
+
+  // 对象与数组共用的分隔符处理：尾随逗号、缺失逗号、截断时自动闭合
+  const parseItems = (close, parseItem) => {
+    while (true) {
+      skipWhitespace()
+      if (text[pos] === close) {
+        pos++
+        return
+      }
+      if (pos >= text.length) {
+        repair('未闭合的结构', `缺少 "${close}"`)
+        return
+      }
+
+      parseItem()
+      skipWhitespace()
+
+      if (text[pos] === ',') {
+        pos++
+        skipWhitespace()
+        if (text[pos] === close) repair('尾随逗号', '多余的尾随逗号')
+      } else if (text[pos] !== close && pos < text.length) {
+        repair('缺失的逗号', `期望 "," 或 "${close}"`)
+      }
+    }
+  }
+
+  const parseValue = () => {
+    skipWhitespace()
+    if (pos >= text.length) fail('意外的输入结尾')
+
+    const char = text[pos]
+    if (char === '{') {
+      pos++
+      const result = {}
+      parseItems('}', () => {
+        const key = parseObjectKey()
+        skipWhitespace()
+        if (text[pos] !== ':') fail('键名后缺少 ":"')
+        pos++
+        const value = parseValue()
+        // 与 JSON.parse 一致，__proto__ 作为普通属性
+        Object.defineProperty(result, key, { value, enumerable: true, writable: true, configurable: true })
+      })
+      return result
+    }
+
+    if (char === '[' || char === '(') {
+      if (char === '(') repair('Python 元组', '意外的字符 "("')
+      pos++
+      const result = []
+      parseItems(char === '[' ? ']' : ')', () => result.push(parseValue()))
+      return result
+    }
+
+    if (char === '"' || char === "'" || char === '`') return parseString()
+    if (/[\d+\-.]/.test(char)) return parseNumber()
+    if (/[A-Za-z_$]/.test(char)) return parseWord()
+
+    return fail(`意外的字符 "${char}"`)
+  }
+
+  const data = parseValue()
+  if (partial) return { data, repairs: Array.from(repairs), end: pos }
+
+  skipWhitespace()
+  // 从控制台复制的语句末尾可能带分号
+  if (text[pos] === ';') {
+    repair('语句末尾的分号', '意外的字符 ";"')
+    pos++
+    skipWhitespace()
+  }
+  if (pos < text.length) {
+    // 标记为多余内容，调用方据此尝试按多文档解析
+    throw Object.assign(createParseError('JSON 末尾存在多余内容', text, pos), { trailingContent: true })
+  }
+
+  return { data, repairs: Array.from(repairs) }
+}
+
+// ==================== 核心功能：JSONPath / JMESPath 查询 ====================
+
+const JSONPATH_NAME_PATTERN = /[^\s.[\]()'"=!<>&|,:*@$?]+/y
+const JSONPATH_FILTER_TOKEN_PATTERN = /\s+|("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|(true|false|null)\b|(==|!=|<=|>=|=~|&&|\|\||[<>!()])|\/((?:\\.|[^/\\])+)\/([a-z]*)/y
+
+const JMESPATH_TOKEN_PATTERN = /\s+|([A-Za-z_][\w]*)|("(?:\\.|[^"\\])*")|('(?:\\.|[^'\\])*')|`((?:\\.|[^`\\])*)`|(-?\d+)|(\[\?|\[\]|\|\||&&|==|!=|<=|>=|[.*,:{}[\]()@|&!<>])/y
+
+// JMESPath 运算符绑定优先级（与规范参考实现一致）
+const JMESPATH_BINDING_POWER = {
+  '|': 1, '||': 2, '&&': 3,
+  '==': 5, '!=': 5, '<': 5, '<=': 5, '>': 5, '>=': 5,
+  '[]': 9, '*': 20, '[?': 21, '.': 40, '!': 45, '{': 50, '[': 55, '(': 60
+}
+
+/**
+ * 按语言执行查询，返回 { value, count }
+ * JSONPath 的确定路径（不含通配、过滤、切片、递归）返回匹配值本身，其余返回匹配值数组
+ */
+function runJsonQuery(data, expression, language = 'jsonpath') {
+  if (language === 'jmespath') {
+    const value = evaluateJmesPath(parseJmesPath(expression), data)
+    return { value, count: value === null ? 0 : Array.isArray(value) ? value.length : 1 }
+  }
+
+  const path = parseJsonPath(expression)
+  const matches = evaluateJsonPath(path.segments, data, data)
+  return { value: path.definite ? matches[0] : matches, count: matches.length }
+}
+
+/**
+ * 对输入应用查询（未填写查询时原样返回）
+ * 多文档输入逐个文档查询并保留有结果的文档，查询没有结果时报错
+ */
+function applyInputQuery(data, documents, options = {}) {
+  if (!options.query) return data
+
+  const results = (documents ? data : [data])
+    .map(doc => runJsonQuery(doc, options.query, options.queryLanguage))
+    .filter(result => result.count > 0)
+    .map(result => result.value)
+  if (results.length === 0) throw new Error(`查询 ${options.query} 没有匹配结果`)
+  return documents ? results : results[0]
+}
+
+/**
+ * 解析 JSONPath 表达式为路径段
+ * 支持 $ / @、.name、['name']、[n]、[*]、.*、..name、[a,b]、[start:end:step] 与 [?(@.x > 1 && @.y)] 过滤
+ */
+function parseJsonPath(expression) {
+  const source = expression.trim()
+  const segments = []
+  let definite = true
+  let pos = 0
+
+  const fail = (message) => { throw new Error(`JSONPath 语法错误：${message}（位置 ${pos + 1}）`) }
+  const skipSpaces = () => { while (/\s/.test(source[pos] || '')) pos++ }
+
+  const readName = () => {
+    JSONPATH_NAME_PATTERN.lastIndex = pos
+    const match = JSONPATH_NAME_PATTERN.exec(source)
+    if (!match) fail('缺少字段名')
+    pos = JSONPATH_NAME_PATTERN.lastIndex
+    return match[0]
+  }
+
+  const readQuoted = () => {
+    const quote = source[pos]
+    let value = ''
+    pos++
+    while (pos < source.length && source[pos] !== quote) {
+      if (source[pos] === '\\') pos++
+      value += source[pos++] ?? ''
+    }
+    if (source[pos] !== quote) fail('字符串缺少结束引号')
+    pos++
+    return value
+  }
+
+  const readInteger = () => {
+    const match = /^-?\d+/.exec(source.slice(pos))
+    if (!match) return null
+    pos += match[0].length
+    return parseInt(match[0])
+  }
+
+  // 方括号内的选择器：过滤、通配、或逗号分隔的名称 / 下标 / 切片
+  const readBracket = () => {
+    pos++
+    skipSpaces()
+    if (source[pos] === '?') {
+      pos++
+      const filter = parseJsonPathFilter(source, pos)
+      pos = filter.end
+      skipSpaces()
+      if (source[pos] !== ']') fail('过滤表达式缺少 "]"')
+      pos++
+      definite = false
+      return [{ type: 'filter', test: filter.test }]
+    }
+
+    const selectors = []
+    while (true) {
+      skipSpaces()
+      if (source[pos] === '*') {
+        pos++
+        selectors.push({ type: 'wildcard' })
+      } else if (source[pos] === '"' || source[pos] === "'") {
+        selectors.push({ type: 'name', name: readQuoted() })
+      } else {
+        const start = readInteger()
+        skipSpaces()
+        if (source[pos] === ':') {
+          pos++
+          skipSpaces()
+          const end = readInteger()
+          skipSpaces()
+          let step = null
+          if (source[pos] === ':') {
+            pos++
+            skipSpaces()
+            step = readInteger()
+          }
+          selectors.push({ type: 'slice', start, end, step: step ?? 1 })
+        } else if (start !== null) {
+          selectors.push({ type: 'index', index: start })
+        } else {
+          fail('无法识别的选择器')
+        }
+      }
+      skipSpaces()
+      if (source[pos] === ',') { pos++; continue }
+      if (source[pos] === ']') { pos++; break }
+      fail('缺少 "]"')
+    }
+
+    if (selectors.length > 1 || selectors.some(selector => selector.type === 'wildcard' || selector.type === 'slice')) definite = false
+    return selectors
+  }
+
+  if (source[pos] === '$' || source[pos] === '@') pos++
+
+  while (pos < source.length) {
+    skipSpaces()
+    if (pos >= source.length) break
+
+    let recursive = false
+    if (source.startsWith('..', pos)) {
+      recursive = true
+      definite = false
+      pos += 2
+    } else if (source[pos] === '.') {
+      pos++
+    } else if (source[pos] !== '[') {
+      // 省略开头 $ 时允许直接写字段名，如 data.list
+      if (segments.length > 0 || pos > 0) fail(`意外的字符 "${source[pos]}"`)
+    }
+
+    let selectors
+    if (source[pos] === '[') {
+      selectors = readBracket()
+    } else if (source[pos] === '*') {
+      pos++
+      definite = false
+      selectors = [{ type: 'wildcard' }]
+    } else {
+      selectors = [{ type: 'name', name: readName() }]
+    }
+    segments.push({ recursive, selectors })
+  }
+
+  return { segments, definite }
+}
+
+/**
+ * 解析 JSONPath 过滤表达式，从 start 处读到与 [? 匹配的 ] 之前
+ * 返回 { test(node, root), end }
+ */
+function parseJsonPathFilter(source, start) {
+  const tokens = []
+  let pos = start
+
+  // 先按字符切出运算符与字面量，@ / $ 开头的相对路径整体交给 parseJsonPath
+  while (pos < source.length) {
+    const char = source[pos]
+    if (char === ']' && tokens.filter(token => token.value === '(').length === tokens.filter(token => token.value === ')').length) break
+
+    if (char === '@' || char === '$') {
+      let end = pos + 1
+      let depth = 0
+      while (end < source.length) {
+        const next = source[end]
+        if (next === '[') depth++
+        else if (next === ']') { if (depth === 0) break; depth-- }
+        else if (depth === 0 && !/[\w.$\u0080-\uffff-]/.test(next)) break
+        else if (depth > 0 && (next === '"' || next === "'")) end = source.indexOf(next, end + 1)
+        if (end === -1) throw new Error('JSONPath 语法错误：过滤表达式中字符串缺少结束引号')
+        end++
+      }
+      const path = parseJsonPath(source.slice(pos, end))
+      tokens.push({ type: 'path', root: char === '$', segments: path.segments })
+      pos = end
+      continue
+    }
+
+    JSONPATH_FILTER_TOKEN_PATTERN.lastIndex = pos
+    const match = JSONPATH_FILTER_TOKEN_PATTERN.exec(source)
+    if (!match) throw new Error(`JSONPath 语法错误：过滤表达式中无法识别的字符 "${char}"（位置 ${pos + 1}）`)
+    pos = JSONPATH_FILTER_TOKEN_PATTERN.lastIndex
+
+    const [, str, num, literal, op, regex, flags] = match
+    if (str !== undefined) tokens.push({ type: 'value', value: str.slice(1, -1).replace(/\\(.)/g, '$1') })
+    else if (num !== undefined) tokens.push({ type: 'value', value: Number(num) })
+    else if (literal !== undefined) tokens.push({ type: 'value', value: JSON.parse(literal) })
+    else if (op !== undefined) tokens.push({ type: 'op', value: op })
+    else if (regex !== undefined) tokens.push({ type: 'value', value: new RegExp(regex, flags) })
+  }
+
+  let index = 0
+  const peek = () => tokens[index]
+  const isOp = (value) => peek() !== undefined && peek().type === 'op' && peek().value === value
+  const fail = (message) => { throw new Error(`JSONPath 语法错误：过滤表达式${message}`) }
+
+  // 递归下降：|| → && → ! → 比较 / 括号
+  const parseOr = () => {
+    let left = parseAnd()
+    while (isOp('||')) {
+      index++
+      const lhs = left
+      const rhs = parseAnd()
+      left = (node, root) => lhs(node, root) || rhs(node, root)
+    }
+    return left
+  }
+  const parseAnd = () => {
+    let left = parseUnary()
+    while (isOp('&&')) {
+      index++
+      const lhs = left
+      const rhs = parseUnary()
+      left = (node, root) => lhs(node, root) && rhs(node, root)
+    }
+    return left
+  }
+  const parseUnary = () => {
+    if (isOp('!')) {
+      index++
+      const operand = parseUnary()
+      return (node, root) => !operand(node, root)
+    }
+    if (isOp('(')) {
+      index++
+      const inner = parseOr()
+      if (!isOp(')')) fail('缺少 ")"')
+      index++
+      return inner
+    }
+    return parseComparison()
+  }
+  const parseOperand = () => {
+    const token = tokens[index++]
+    if (!token || token.type === 'op') fail('缺少操作数')
+    if (token.type === 'value') return () => token.value
+    return (node, root) => {
+      const matches = evaluateJsonPath(token.segments, token.root ? root : node, root)
+      return matches.length > 0 ? matches[0] : undefined
+    }
+  }
+  const parseComparison = () => {
+    const left = parseOperand()
+    const token = peek()
+    if (!token || token.type !== 'op' || !['==', '!=', '<', '<=', '>', '>=', '=~'].includes(token.value)) {
+      // 单独的路径表示存在性判断
+      return (node, root) => left(node, root) !== undefined
+    }
+    index++
+    const right = parseOperand()
+    return (node, root) => compareJsonPathValues(token.value, left(node, root), right(node, root))
+  }
+
+  if (tokens.length === 0) fail('为空')
+  const test = parseOr()
+  if (index < tokens.length) fail(`中有多余的 "${peek().value}"`)
+  return { test, end: pos }
+}
+
+/**
+ * JSONPath 过滤中的比较运算，大小比较仅在同为数字或同为字符串时成立
+ */
+function compareJsonPathValues(op, left, right) {
+  switch (op) {
+    case '==': return isJsonEqual(left, right)
+    case '!=': return !isJsonEqual(left, right)
+    case '=~': return typeof left === 'string' && right instanceof RegExp && right.test(left)
+  }
+  if (typeof left !== typeof right || (typeof left !== 'number' && typeof left !== 'string')) return false
+  if (op === '<') return left < right
+  if (op === '<=') return left <= right
+  if (op === '>') return left > right
+  return left >= right
+}
+
+/**
+ * 深比较两个 JSON 值
+ */
+function isJsonEqual(a, b) {
+  if (a === b) return true
+  if (getType(a) !== getType(b) || !a || typeof a !== 'object') return false
+  if (Array.isArray(a)) return a.length === b.length && a.every((item, index) => isJsonEqual(item, b[index]))
+  const keys = Object.keys(a)
+  return keys.length === Object.keys(b).length && keys.every(key => key in b && isJsonEqual(a[key], b[key]))
+}
+
+/**
+ * 按路径段求值，返回全部匹配值
+ */
+function evaluateJsonPath(segments, value, root) {
+  let nodes = [value]
+
+  for (const segment of segments) {
+    const next = []
+    for (const node of nodes) {
+      const targets = segment.recursive ? collectJsonDescendants(node) : [node]
+      for (const target of targets) {
+        for (const selector of segment.selectors) selectJsonPath(selector, target, root, next)
+      }
+    }
+    nodes = next
+  }
+
+  return nodes
+}
+
+/**
+ * 节点自身及其全部后代（.. 递归下降）
+ */
+function collectJsonDescendants(node) {
+  const result = []
+  const stack = [node]
+  while (stack.length > 0) {
+    const current = stack.pop()
+    result.push(current)
+    if (current && typeof current === 'object') {
+      const children = Array.isArray(current) ? current : Object.values(current)
+      for (let i = children.length - 1; i >= 0; i--) stack.push(children[i])
+    }
+  }
+  return result
+}
+
+/**
+ * 对单个节点应用选择器，匹配值追加到 output
+ */
+function selectJsonPath(selector, node, root, output) {
+  if (!node || typeof node !== 'object') return
+  const isArray = Array.isArray(node)
+
+  switch (selector.type) {
+    case 'name':
+      if (!isArray && Object.prototype.hasOwnProperty.call(node, selector.name)) output.push(node[selector.name])
+      // 兼容常见扩展：数组的 length
+      else if (isArray && selector.name === 'length') output.push(node.length)
+      break
+    case 'wildcard':
+      output.push(...(isArray ? node : Object.values(node)))
+      break
+    case 'index': {
+      if (!isArray) break
+      const index = selector.index < 0 ? node.length + selector.index : selector.index
+      if (index >= 0 && index < node.length) output.push(node[index])
+      break
+    }
+    case 'slice':
+      if (isArray) output.push(...sliceJsonArray(node, selector.start, selector.end, selector.step))
+      break
+    case 'filter':
+      for (const item of isArray ? node : Object.values(node)) {
+        if (selector.test(item, root)) output.push(item)
+      }
+      break
+  }
+}
+
+/**
+ * Python 风格切片，支持负数下标与步长
+ */
+function sliceJsonArray(array, start, end, step) {
+  if (step === 0) throw new Error('切片步长不能为 0')
+  const length = array.length
+  const normalize = (value, fallback) => {
+    if (value === null) return fallback
+    if (value < 0) return Math.max(step > 0 ? 0 : -1, length + value)
+    return Math.min(value, step > 0 ? length : length - 1)
+  }
+  const from = normalize(start, step > 0 ? 0 : length - 1)
+  const to = normalize(end, step > 0 ? length : -1)
+
+  const result = []
+  if (step > 0) for (let i = from; i < to; i += step) result.push(array[i])
+  else for (let i = from; i > to; i += step) result.push(array[i])
+  return result
+}
+
+/**
+ * JMESPath 分词
+ */
+function tokenizeJmesPath(expression) {
+  const tokens = []
+  JMESPATH_TOKEN_PATTERN.lastIndex = 0
+
+  while (JMESPATH_TOKEN_PATTERN.lastIndex < expression.length) {
+    const index = JMESPATH_TOKEN_PATTERN.lastIndex
+    const match = JMESPATH_TOKEN_PATTERN.exec(expression)
+    if (!match) throw new Error(`JMESPath 语法错误：无法识别的字符 "${expression[index]}"（位置 ${index + 1}）`)
+
+    const [, word, quoted, raw, literal, num, punct] = match
+    if (word !== undefined) tokens.push({ type: 'identifier', value: word, index })
+    else if (quoted !== undefined) tokens.push({ type: 'identifier', value: JSON.parse(quoted), index, quoted: true })
+    else if (raw !== undefined) tokens.push({ type: 'literal', value: raw.slice(1, -1).replace(/\\'/g, "'"), index })
+    else if (literal !== undefined) {
+      const text = literal.replace(/\\`/g, '`')
+      let value
+      try {
+        value = JSON.parse(text)
+      } catch {
+        throw new Error(`JMESPath 语法错误：无效的字面量 \`${text}\`（位置 ${index + 1}）`)
+      }
+      tokens.push({ type: 'literal', value, index })
+    } else if (num !== undefined) tokens.push({ type: 'number', value: parseInt(num), index })
+    else if (punct !== undefined) tokens.push({ type: punct, index })
+  }
+
+  tokens.push({ type: 'eof', index: expression.length })
+  return tokens
+}
+
+/**
+ * 解析 JMESPath 表达式为语法树（Pratt 解析，语法与官方规范一致）
+ */
+function parseJmesPath(expression) {
+  const tokens = tokenizeJmesPath(expression.trim())
+  let pos = 0
+
+  const peek = (offset = 0) => tokens[Math.min(pos + offset, tokens.length - 1)]
+  const power = (token) => JMESPATH_BINDING_POWER[token.type] || 0
+  const fail = (token, message) => {
+    throw new Error(`JMESPath 语法错误：${message}（位置 ${token.index + 1}）`)
+  }
+  const expect = (type) => {
+    const token = peek()
+    if (token.type !== type) fail(token, `期望 "${type}"，实际为 ${token.type === 'eof' ? '表达式结尾' : `"${token.value ?? token.type}"`}`)
+    pos++
+    return token
+  }
+
+  const parseExpression = (rbp = 0) => {
+    let left = nud(tokens[pos++])
+    while (rbp < power(peek())) {
+      const token = tokens[pos++]
+      left = led(token, left)
+    }
+    return left
+  }
+
+  // 投影右侧：低优先级符号结束投影，否则继续解析 .x / [..] / [?..]
+  const parseProjectionRhs = (rbp) => {
+    const token = peek()
+    if (power(token) < 10) return { type: 'identity' }
+    if (token.type === '[' || token.type === '[?') return parseExpression(rbp)
+    if (token.type === '.') {
+      pos++
+      return parseDotRhs(rbp)
+    }
+    fail(token, '投影后语法错误')
+  }
+
+  const parseDotRhs = (rbp) => {
+    const token = peek()
+    if (token.type === 'identifier' || token.type === '*') return parseExpression(rbp)
+    if (token.type === '[') {
+      pos++
+      return parseMultiSelectList()
+    }
+    if (token.type === '{') {
+      pos++
+      return parseMultiSelectHash()
+    }
+    fail(token, '"." 后缺少字段名')
+  }
+
+  const parseMultiSelectList = () => {
+    const children = []
+    while (true) {
+      children.push(parseExpression())
+      if (peek().type === ']') break
+      expect(',')
+    }
+    expect(']')
+    return { type: 'multiList', children }
+  }
+
+  const parseMultiSelectHash = () => {
+    const pairs = []
+    while (true) {
+      const key = expect('identifier')
+      expect(':')
+      pairs.push({ key: key.value, value: parseExpression() })
+      if (peek().type === '}') break
+      expect(',')
+    }
+    expect('}')
+    return { type: 'multiHash', pairs }
+  }
+
+  // [n] 或 [start:end:step]，左方括号已读取
+  const parseIndex = () => {
+    if (peek().type === ':' || peek(1).type === ':') {
+      const parts = [null, null, null]
+      let part = 0
+      while (peek().type !== ']') {
+        const token = tokens[pos++]
+        if (token.type === ':') part++
+        else if (token.type === 'number' && part < 3) parts[part] = token.value
+        else fail(token, '无效的切片')
+      }
+      expect(']')
+      return { type: 'slice', start: parts[0], end: parts[1], step: parts[2] ?? 1 }
+    }
+    const token = expect('number')
+    expect(']')
+    return { type: 'index', index: token.value }
+  }
+
+  const projectIfSlice = (left, right) => {
+    const indexed = { type: 'indexed', left, right }
+    return right.type === 'slice' ? { type: 'projection', left: indexed, right: parseProjectionRhs(JMESPATH_BINDING_POWER['*']) } : indexed
+  }
+
+  const nud = (token) => {
+    switch (token.type) {
+      case 'literal':
+        return { type: 'literal', value: token.value }
+      case 'identifier':
+        if (token.quoted && peek().type === '(') fail(token, '函数名不能加引号')
+        return { type: 'field', name: token.value }
+      case 'number':
+        fail(token, '数字需要写在 [] 中或使用 `字面量`')
+        break
+      case '!':
+        return { type: 'not', child: parseExpression(JMESPATH_BINDING_POWER['!']) }
+      case '*':
+        return {
+          type: 'valueProjection',
+          left: { type: 'identity' },
+          right: peek().type === ']' ? { type: 'identity' } : parseProjectionRhs(JMESPATH_BINDING_POWER['*'])
+        }
+      case '[?':
+        return led(token, { type: 'identity' })
+      case '{':
+        return parseMultiSelectHash()
+      case '[]':
+        return { type: 'projection', left: { type: 'flatten', child: { type: 'identity' } }, right: parseProjectionRhs(JMESPATH_BINDING_POWER['[]']) }
+      case '[':
+        if (peek().type === 'number' || peek().type === ':') return projectIfSlice({ type: 'identity' }, parseIndex())
+        if (peek().type === '*' && peek(1).type === ']') {
+          pos += 2
+          return { type: 'projection', left: { type: 'identity' }, right: parseProjectionRhs(JMESPATH_BINDING_POWER['*']) }
+        }
+        return parseMultiSelectList()
+      case '@':
+        return { type: 'identity' }
+      case '&':
+        return { type: 'expref', child: parseExpression() }
+      case '(': {
+        const inner = parseExpression()
+        expect(')')
+        return inner
+      }
+    }
+    fail(token, token.type === 'eof' ? '表达式不完整' : `意外的 "${token.value ?? token.type}"`)
+  }
+
+  const led = (token, left) => {
+    switch (token.type) {
+      case '.':
+        if (peek().type === '*') {
+          pos++
+          return { type: 'valueProjection', left, right: parseProjectionRhs(JMESPATH_BINDING_POWER['.']) }
+        }
+        return { type: 'subexpression', left, right: parseDotRhs(JMESPATH_BINDING_POWER['.']) }
+      case '|':
+        return { type: 'pipe', left, right: parseExpression(JMESPATH_BINDING_POWER['|']) }
+      case '||':
+        return { type: 'or', left, right: parseExpression(JMESPATH_BINDING_POWER['||']) }
+      case '&&':
+        return { type: 'and', left, right: parseExpression(JMESPATH_BINDING_POWER['&&']) }
+      case '(': {
+        if (left.type !== 'field') fail(token, '只能调用函数名')
+        const args = []
+        while (peek().type !== ')') {
+          args.push(parseExpression())
+          if (peek().type !== ')') expect(',')
+        }
+        expect(')')
+        return { type: 'function', name: left.name, args }
+      }
+      case '[?': {
+        const condition = parseExpression()
+        expect(']')
+        const right = peek().type === '[]' ? { type: 'identity' } : parseProjectionRhs(JMESPATH_BINDING_POWER['[?'])
+        return { type: 'filterProjection', left, right, condition }
+      }
+      case '[]':
+        return { type: 'projection', left: { type: 'flatten', child: left }, right: parseProjectionRhs(JMESPATH_BINDING_POWER['[]']) }
+      case '==': case '!=': case '<': case '<=': case '>': case '>=':
+        return { type: 'comparator', op: token.type, left, right: parseExpression(JMESPATH_BINDING_POWER[token.type]) }
+      case '[':
+        if (peek().type === 'number' || peek().type === ':') return projectIfSlice(left, parseIndex())
+        expect('*')
+        expect(']')
+        return { type: 'projection', left, right: parseProjectionRhs(JMESPATH_BINDING_POWER['*']) }
+    }
+    fail(token, `意外的 "${token.value ?? token.type}"`)
+  }
+
+  const ast = parseExpression()
+  if (peek().type !== 'eof') fail(peek(), `意外的 "${peek().value ?? peek().type}"`)
+  return ast
+}
+
+/**
+ * JMESPath 真值判断：空字符串、空数组、空对象、false 与 null 为假
+ */
+function isJmesPathFalse(value) {
+  if (value === null || value === undefined || value === false || value === '') return true
+  if (Array.isArray(value)) return value.length === 0
+  if (typeof value === 'object') return Object.keys(value).length === 0
+  return false
+}
+
+/**
+ * JMESPath 语法树求值
+ */
+function evaluateJmesPath(node, value) {
+  const isObject = item => item !== null && typeof item === 'object' && !Array.isArray(item)
+  const project = (items, right) => {
+    const result = []
+    for (const item of items) {
+      const projected = evaluateJmesPath(right, item)
+      if (projected !== null) result.push(projected)
+    }
+    return result
+  }
+
+  switch (node.type) {
+    case 'identity':
+      return value
+    case 'literal':
+      return node.value
+    case 'field':
+      return isObject(value) && Object.prototype.hasOwnProperty.call(value, node.name) ? value[node.name] : null
+    case 'subexpression': {
+      const left = evaluateJmesPath(node.left, value)
+      return left === null ? null : evaluateJmesPath(node.right, left)
+    }
+    case 'indexed':
+      return evaluateJmesPath(node.right, evaluateJmesPath(node.left, value))
+    case 'index': {
+      if (!Array.isArray(value)) return null
+      const index = node.index < 0 ? value.length + node.index : node.index
+      return value[index] ?? null
+    }
+    case 'slice':
+      return Array.isArray(value) ? sliceJsonArray(value, node.start, node.end, node.step) : null
+    case 'projection': {
+      const base = evaluateJmesPath(node.left, value)
+      return Array.isArray(base) ? project(base, node.right) : null
+    }
+    case 'valueProjection': {
+      const base = evaluateJmesPath(node.left, value)
+      return isObject(base) ? project(Object.values(base), node.right) : null
+    }
+    case 'filterProjection': {
+      const base = evaluateJmesPath(node.left, value)
+      if (!Array.isArray(base)) return null
+      return project(base.filter(item => !isJmesPathFalse(evaluateJmesPath(node.condition, item))), node.right)
+    }
+    case 'flatten': {
+      const base = evaluateJmesPath(node.child, value)
+      return Array.isArray(base) ? base.flatMap(item => Array.isArray(item) ? item : [item]) : null
+    }
+    case 'comparator': {
+      const left = evaluateJmesPath(node.left, value)
+      const right = evaluateJmesPath(node.right, value)
+      if (node.op === '==') return isJsonEqual(left, right)
+      if (node.op === '!=') return !isJsonEqual(left, right)
+      if (typeof left !== 'number' || typeof right !== 'number') return null
+      return compareJsonPathValues(node.op, left, right)
+    }
+    case 'multiList':
+      return value === null ? null : node.children.map(child => evaluateJmesPath(child, value))
+    case 'multiHash':
+      return value === null ? null : Object.fromEntries(node.pairs.map(pair => [pair.key, evaluateJmesPath(pair.value, value)]))
+    case 'or': {
+      const left = evaluateJmesPath(node.left, value)
+      return isJmesPathFalse(left) ? evaluateJmesPath(node.right, value) : left
+    }
+    case 'and': {
+      const left = evaluateJmesPath(node.left, value)
+      return isJmesPathFalse(left) ? left : evaluateJmesPath(node.right, value)
+    }
+    case 'not':
+      return isJmesPathFalse(evaluateJmesPath(node.child, value))
+    case 'pipe':
+      return evaluateJmesPath(node.right, evaluateJmesPath(node.left, value))
+    case 'expref':
+      return { __expref__: node.child }
+    case 'function':
+      return callJmesPathFunction(node.name, node.args.map(arg => evaluateJmesPath(arg, value)))
+  }
+  throw new Error(`JMESPath 不支持的节点 ${node.type}`)
+}
+
+/**
+ * JMESPath 内置函数（常用子集）
+ */
+function callJmesPathFunction(name, args) {
+  const fail = (message) => { throw new Error(`JMESPath 函数 ${name}()：${message}`) }
+  const expect = (count) => { if (args.length !== count) fail(`需要 ${count} 个参数，实际 ${args.length} 个`) }
+  const array = (index) => { if (!Array.isArray(args[index])) fail(`第 ${index + 1} 个参数应为数组`); return args[index] }
+  const expref = (index) => { if (!args[index] || !args[index].__expref__) fail(`第 ${index + 1} 个参数应为 &表达式`); return item => evaluateJmesPath(args[index].__expref__, item) }
+  const byKey = (compare) => {
+    expect(2)
+    const key = expref(1)
+    return array(0).reduce((best, item) => best === null || compare(key(item), key(best)) ? item : best, null)
+  }
+
+  switch (name) {
+    case 'length':
+      expect(1)
+      if (typeof args[0] === 'string' || Array.isArray(args[0])) return args[0].length
+      if (args[0] && typeof args[0] === 'object') return Object.keys(args[0]).length
+      return fail('参数应为字符串、数组或对象')
+    case 'keys':
+    case 'values':
+      expect(1)
+      if (!args[0] || typeof args[0] !== 'object' || Array.isArray(args[0])) fail('参数应为对象')
+      return name === 'keys' ? Object.keys(args[0]) : Object.values(args[0])
+    case 'sort':
+      expect(1)
+      return [...array(0)].sort((a, b) => a < b ? -1 : a > b ? 1 : 0)
+    case 'sort_by': {
+      expect(2)
+      const key = expref(1)
+      return array(0).map(item => ({ item, sortKey: key(item) }))
+        .sort((a, b) => a.sortKey < b.sortKey ? -1 : a.sortKey > b.sortKey ? 1 : 0)
+        .map(entry => entry.item)
+    }
+    case 'reverse':
+      expect(1)
+      if (typeof args[0] === 'string') return [...args[0]].reverse().join('')
+      return [...array(0)].reverse()
+    case 'max':
+    case 'min': {
+      expect(1)
+      const items = array(0)
+      if (items.length === 0) return null
+      return items.reduce((best, item) => (name === 'max' ? item > best : item < best) ? item : best)
+    }
+    case 'max_by':
+      return byKey((a, b) => a > b)
+    case 'min_by':
+      return byKey((a, b) => a < b)
+    case 'sum':
+      expect(1)
+      return array(0).reduce((total, item) => total + item, 0)
+    case 'avg': {
+      expect(1)
+      const items = array(0)
+      return items.length === 0 ? null : items.reduce((total, item) => total + item, 0) / items.length
+    }
+    case 'abs':
+    case 'ceil':
+    case 'floor':
+      expect(1)
+      if (typeof args[0] !== 'number') fail('参数应为数字')
+      return Math[name](args[0])
+    case 'contains':
+      expect(2)
+      if (typeof args[0] === 'string') return args[0].includes(args[1])
+      return array(0).some(item => isJsonEqual(item, args[1]))
+    case 'starts_with':
+    case 'ends_with':
+      expect(2)
+      if (typeof args[0] !== 'string' || typeof args[1] !== 'string') fail('参数应为字符串')
+      return name === 'starts_with' ? args[0].startsWith(args[1]) : args[0].endsWith(args[1])
+    case 'join':
+      expect(2)
+      if (typeof args[0] !== 'string') fail('第 1 个参数应为字符串')
+      return array(1).join(args[0])
+    case 'map': {
+      expect(2)
+      const mapper = expref(0)
+      return array(1).map(mapper)
+    }
+    case 'merge':
+      return Object.assign({}, ...args)
+    case 'not_null':
+      return args.find(arg => arg !== null) ?? null
+    case 'to_array':
+      expect(1)
+      return Array.isArray(args[0]) ? args[0] : [args[0]]
+    case 'to_string':
+      expect(1)
+      return typeof args[0] === 'string' ? args[0] : JSON.stringify(args[0])
+    case 'to_number': {
+      expect(1)
+      if (typeof args[0] === 'number') return args[0]
+      const number = typeof args[0] === 'string' ? Number(args[0]) : NaN
+      return Number.isNaN(number) ? null : number
+    }
+    case 'type':
+      expect(1)
+      return getType(args[0]) === 'undefined' ? 'null' : getType(args[0])
+  }
+  return fail('未知函数')
+}
+
+// ==================== 核心功能：类型推断 ====================
+
+/**
+ * 推断数据类型，并按取值个数标记枚举字段
+ * options.multiDocument 为 true 时 data 为文档数组
+ */
+function inferType(data, options = {}) {
+  // 多文档输入（NDJSON）：各文档合并为同一结构，部分文档缺失的字段标记为可选
+  const typeInfo = options.multiDocument
+    ? sampleArrayItems(data, options.arraySampleSize).reduce((merged, doc) => mergeTypes(merged, inferValueType(doc, options)), null)
+    : inferValueType(data, options)
+  return markEnumTypes(typeInfo, options)
+}
+
+/**
+ * 递归推断值的类型
+ * 数组会遍历全部元素（超过采样上限时均匀抽样）并合并为一个元素类型，
+ * 对象字段记录出现次数，少于父级次数即为可选字段；key 为所在字段名，用于识别时间戳
+ */
+function inferValueType(data, options = {}, key = '') {
+  const { arraySampleSize = 0 } = options
+  const type = getType(data)
+
+  if (type === 'array') {
+    let itemType = null
+    for (const item of sampleArrayItems(data, arraySampleSize)) {
+      itemType = mergeTypes(itemType, inferValueType(item, options, key))
+    }
+    return { kind: 'array', count: 1, minLength: data.length, maxLength: data.length, item: itemType }
+  }
+
+  if (type === 'object') {
+    const fields = new Map()
+    for (const fieldKey of Object.keys(data)) {
+      fields.set(fieldKey, { type: inferValueType(data[fieldKey], options, fieldKey), count: 1 })
+    }
+    return { kind: 'object', count: 1, fields }
+  }
+
+  if (type === 'number') {
+    const node = { kind: 'number', count: 1, integer: Number.isInteger(data), sample: data }
+    const format = detectNumberFormat(data, key)
+    if (format) node.format = format
+    // 记录出现过的取值，用于枚举识别
+    if (node.integer) node.values = [data]
+    return node
+  }
+
+  if (type === 'string') {
+    const node = { kind: 'string', count: 1, sample: data }
+    const format = detectStringFormat(data)
+    if (format) node.format = format
+    if (data.length <= ENUM_VALUE_MAX_LENGTH) node.values = [data]
+    return node
+  }
+
+  if (type === 'boolean') {
+    return { kind: type, count: 1, sample: data }
+  }
+
+  return { kind: 'null', count: 1 }
+}
+
+// 枚举识别：最多记录的不同取值个数、参与记录的字符串最大长度
+const ENUM_MAX_VALUES = 20
+const ENUM_VALUE_MAX_LENGTH = 64
+
+/**
+ * 合并两组取值，任一侧未记录或合并后超过上限时返回 null（不再视为枚举）
+ */
+function mergeDistinctValues(a, b) {
+  if (!a || !b) return null
+  const values = [...new Set([...a, ...b])]
+  return values.length > ENUM_MAX_VALUES ? null : values
+}
+
+/**
+ * 标记低基数字段为枚举（enumValues）
+ * 至少两种、且不超过阈值个数的取值，平均每个取值至少出现两次时才认为是枚举，避免把少量样本或常量字段误判
+ * 已带语义格式（日期、UUID 等）的字段不参与；阈值为 0（默认）时不识别
+ */
+function markEnumTypes(typeInfo, options = {}) {
+  const { enumThreshold = 0 } = options
+  if (!enumThreshold || !typeInfo) return typeInfo
+
+  const visit = (node) => {
+    if (!node) return
+    if (node.kind === 'array') visit(node.item)
+    else if (node.kind === 'union') node.variants.forEach(visit)
+    else if (node.kind === 'object') node.fields.forEach(field => visit(field.type))
+    else if (node.values && !node.format &&
+      node.values.length >= 2 && node.values.length <= enumThreshold &&
+      node.count >= Math.max(3, node.values.length * 2)) {
+      node.enumValues = node.values.slice().sort((x, y) => (x < y ? -1 : x > y ? 1 : 0))
+    }
+  }
+
+  visit(typeInfo)
+  return typeInfo
+}
+
+// 字符串语义格式，按顺序匹配，名称与 JSON Schema format 保持一致
+const STRING_FORMATS = [
+  { format: 'jwt', pattern: /^eyJ[\w-]*\.eyJ[\w-]*\.[\w-]*$/ },
+  { format: 'date-time', pattern: /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?$/i },
+  { format: 'date', pattern: /^\d{4}-(?:0[1-9]|1[0-2])-(?:0[1-9]|[12]\d|3[01])$/ },
+  { format: 'time', pattern: /^(?:[01]\d|2[0-3]):[0-5]\d:[0-5]\d(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})?$/ },
+  { format: 'uuid', pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i },
+  { format: 'email', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+  { format: 'uri', pattern: /^[a-z][a-z\d+.-]*:\/\/\S+$/i },
+  { format: 'ipv4', pattern: /^(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)$/ },
+  { format: 'ipv6', pattern: /^(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}$|^(?=(?:[^:]*:){2,7}[^:]*$)(?:[0-9a-f]{1,4}(?::[0-9a-f]{1,4})*)?::(?:[0-9a-f]{1,4}(?::[0-9a-f]{1,4})*)?$/i },
+  { format: 'hex-color', pattern: /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i },
+  { format: 'phone', pattern: /^(?:\+86[\s-]?)?1[3-9]\d{9}$|^\+\d{1,3}[\s-]?\d[\d\s-]{5,13}\d$/ },
+  // 合法字符、补齐正确、长度为 4 的倍数且至少 20 个字符，并同时包含大写、小写与数字或 +/，
+  // 避免把人名、普通单词、状态码、user1234 这类短 ID 误判为 base64
+  { format: 'base64', pattern: /^(?=.*[A-Z])(?=.*[a-z])(?=.*[\d+/])(?:[A-Za-z\d+/]{4}){4,}(?:[A-Za-z\d+/]{2}==|[A-Za-z\d+/]{3}=|[A-Za-z\d+/]{4})$/ }
+]
+
+// 时间戳取值范围：2000-01-01 至 2100-01-01
+const UNIX_TIME_RANGE = [946684800, 4102444800]
+
+/**
+ * 识别字符串的语义格式，未命中返回 null
+ */
+function detectStringFormat(value) {
+  const match = STRING_FORMATS.find(item => item.pattern.test(value))
+  return match ? match.format : null
+}
+
+/**
+ * 识别数字中的 Unix 时间戳
+ * 秒级、毫秒级都容易与普通 ID 混淆，需字段名同时带有时间语义
+ */
+function detectNumberFormat(value, key = '') {
+  if (!Number.isInteger(value) || !isTimeKey(key)) return null
+
+  const [min, max] = UNIX_TIME_RANGE
+  if (value >= min * 1000 && value < max * 1000) return 'unix-time-ms'
+  if (value >= min && value < max) return 'unix-time'
+  return null
+}
+
+/**
+ * 字段名是否带有时间语义，如 createdAt、update_time、ts
+ */
+function isTimeKey(key) {
+  const timeWords = ['time', 'timestamp', 'ts', 'date', 'at', 'created', 'updated', 'modified', 'expire', 'expires', 'expired', 'expiry', 'deadline']
+  return splitIdentifierWords(key).some(word => timeWords.includes(word.toLowerCase()))
+}
+
+/**
+ * 数组均匀抽样，limit 为 0 表示不限制
+ */
+function sampleArrayItems(arr, limit) {
+  if (!limit || arr.length <= limit) return arr
+
+  const step = arr.length / limit
+  const items = []
+  for (let index = 0; index < limit; index++) {
+    items.push(arr[Math.floor(index * step)])
+  }
+  return items
+}
+
+/**
+ * 合并两个推断类型
+ * 同类合并字段与元素，不同类生成联合类型
+ */
+function mergeTypes(a, b) {
+  if (!a) return b
+  if (!b) return a
+
+  if (a.kind === 'union' || b.kind === 'union' || a.kind !== b.kind) {
+    const variants = a.kind === 'union' ? a.variants.slice() : [a]
+    for (const variant of (b.kind === 'union' ? b.variants : [b])) {
+      const index = variants.findIndex(item => item.kind === variant.kind)
+      if (index === -1) variants.push(variant)
+      else variants[index] = mergeTypes(variants[index], variant)
+    }
+    return { kind: 'union', count: a.count + b.count, variants }
+  }
+
+  const merged = { ...a, count: a.count + b.count }
+  // 格式不一致时不再标注格式
+  if (a.format !== b.format) delete merged.format
+  if (a.values || b.values) merged.values = mergeDistinctValues(a.values, b.values)
+
+  if (a.kind === 'number') {
+    merged.integer = a.integer && b.integer
+  } else if (a.kind === 'array') {
+    merged.minLength = Math.min(a.minLength, b.minLength)
+    merged.maxLength = Math.max(a.maxLength, b.maxLength)
+    merged.item = mergeTypes(a.item, b.item)
+  } else if (a.kind === 'object') {
+    const fields = new Map(a.fields)
+    for (const [key, field] of b.fields) {
+      const existing = fields.get(key)
+      fields.set(key, existing
+        ? { type: mergeTypes(existing.type, field.type), count: existing.count + field.count }
+        : field)
+    }
+    merged.fields = fields
+  }
+
+  return merged
+}
+
+/**
+ * 获取对象类型的字段名列表
+ */
+function getTypeFieldKeys(typeInfo, sortKeys = false) {
+  const keys = Array.from(typeInfo.fields.keys())
+  return sortKeys ? keys.sort() : keys
+}
+
+/**
+ * 字段是否可选（部分元素中缺失）
+ */
+function isOptionalField(typeInfo, field) {
+  return field.count < typeInfo.count
+}
+
+/**
+ * 是否为对象或数组类型
+ */
+function isComplexType(typeInfo) {
+  return typeInfo.kind === 'object' || typeInfo.kind === 'array'
+}
+
+/**
+ * 首字母大写
+ */
+function capitalize(str) {
+  return str.charAt(0).toUpperCase() + str.slice(1)
+}
+
+/**
+ * 键名转 PascalCase 类型名片段，如 user_info -> UserInfo
+ */
+function toPascalCase(str) {
+  const words = String(str).match(/[A-Za-z0-9]+/g) || []
+  return words.map(capitalize).join('') || 'Field'
+}
+
+/**
+ * 键名转 camelCase 字段名，如 user_name -> userName
+ */
+function toCamelCase(str) {
+  const words = splitIdentifierWords(str)
+  if (words.length === 0) return 'field'
+
+  const name = words.map((word, index) => index === 0 ? word.toLowerCase() : capitalize(word)).join('')
+  return /^\d/.test(name) ? `field${name}` : name
+}
+
+/**
+ * 键名转 snake_case 字段名，如 userName -> user_name
+ */
+function toSnakeCase(str) {
+  const words = splitIdentifierWords(str)
+  if (words.length === 0) return 'field'
+
+  const name = words.map(word => word.toLowerCase()).join('_')
+  return /^\d/.test(name) ? `field_${name}` : name
+}
+
+/**
+ * 拆分标识符中的单词，支持 snake_case、kebab-case 与 camelCase
+ */
+function splitIdentifierWords(str) {
+  return String(str)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .match(/[A-Za-z0-9]+/g) || []
+}
+
+/**
+ * 生成不重复的名称，重名时追加数字后缀
+ */
+function getUniqueName(name, usedNames) {
+  let uniqueName = name
+  for (let suffix = 2; usedNames.has(uniqueName); suffix++) uniqueName = `${name}${suffix}`
+  usedNames.add(uniqueName)
+  return uniqueName
+}
+
+/**
+ * 获取根类型名，未设置或不是合法标识符时使用默认名
+ */
+function getRootTypeName(options, defaultName) {
+  const name = (options.rootName || '').trim()
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : defaultName
+}
+
+/**
+ * 生成类型结构签名，用于识别结构相同的对象
+ */
+function getTypeSignature(typeInfo, cache = new Map()) {
+  if (!typeInfo) return 'unknown'
+  if (cache.has(typeInfo)) return cache.get(typeInfo)
+
+  let signature
+  switch (typeInfo.kind) {
+    case 'number':
+      signature = typeInfo.integer ? 'integer' : 'number'
+      if (typeInfo.format) signature += `<${typeInfo.format}>`
+      break
+    case 'string':
+      signature = typeInfo.format ? `string<${typeInfo.format}>` : 'string'
+      break
+    case 'array':
+      signature = `${getTypeSignature(typeInfo.item, cache)}[]`
+      break
+    case 'union':
+      signature = typeInfo.variants.map(variant => getTypeSignature(variant, cache)).sort().join('|')
+      break
+    case 'object': {
+      const fields = getTypeFieldKeys(typeInfo, true).map(key => {
+        const field = typeInfo.fields.get(key)
+        const optionalMark = isOptionalField(typeInfo, field) ? '?' : ''
+        return `${JSON.stringify(key)}${optionalMark}:${getTypeSignature(field.type, cache)}`
+      })
+      signature = `{${fields.join(',')}}`
+      break
+    }
+    default:
+      signature = typeInfo.kind
+  }
+
+  cache.set(typeInfo, signature)
+  return signature
+}
+
+/**
+ * 收集需要提升为命名类型的对象
+ * 名称由根类型名 + 字段路径组成（数组元素追加 Item），如 IResponseDataListItem；
+ * 结构相同的对象共用第一次出现时的名称。声明按遍历顺序排列，根类型在前。
+ * dynamicUnions 为 true 时，目标语言把「某类型 | null」以外的联合类型退化为动态类型，其中的对象不再提升
+ */
+function collectNamedTypes(typeInfo, rootName, { dynamicUnions = false } = {}) {
+  const declarations = []
+  const typeNames = new Map()
+  const nameBySignature = new Map()
+  const usedNames = new Set()
+  const signatureCache = new Map()
+
+  // 根节点不是对象时，根类型名留给类型别名
+  if (typeInfo.kind !== 'object') usedNames.add(rootName)
+
+  const visit = (node, name) => {
+    if (!node) return
+
+    if (node.kind === 'array') {
+      visit(node.item, `${name}Item`)
+      return
+    }
+
+    if (node.kind === 'union') {
+      if (dynamicUnions) visit(getNonNullType(node), name)
+      else node.variants.forEach(variant => visit(variant, name))
+      return
+    }
+
+    if (node.kind !== 'object') return
+
+    const signature = getTypeSignature(node, signatureCache)
+    const existingName = nameBySignature.get(signature)
+    if (existingName) {
+      typeNames.set(node, existingName)
+      return
+    }
+
+    const uniqueName = getUniqueName(name, usedNames)
+    nameBySignature.set(signature, uniqueName)
+    typeNames.set(node, uniqueName)
+    declarations.push({ name: uniqueName, typeInfo: node })
+
+    for (const [key, field] of node.fields) {
+      visit(field.type, `${uniqueName}${toPascalCase(key)}`)
+    }
+  }
+
+  visit(typeInfo, rootName)
+  return { declarations, typeNames }
+}
+
+/**
+ * 按依赖关系排序命名类型声明，被引用的类型排在引用方之前
+ */
+function sortDeclarationsByDependency(declarations, typeNames) {
+  const declarationByName = new Map(declarations.map(item => [item.name, item]))
+  const sorted = []
+  const visited = new Set()
+
+  const collectReferences = (node, references) => {
+    if (!node) return
+    if (node.kind === 'object' && typeNames.has(node)) {
+      references.push(typeNames.get(node))
+    } else if (node.kind === 'array') {
+      collectReferences(node.item, references)
+    } else if (node.kind === 'union') {
+      node.variants.forEach(variant => collectReferences(variant, references))
+    }
+  }
+
+  const visit = (item) => {
+    if (visited.has(item.name)) return
+    visited.add(item.name)
+
+    const references = []
+    for (const field of item.typeInfo.fields.values()) collectReferences(field.type, references)
+    references.forEach(name => visit(declarationByName.get(name)))
+
+    sorted.push(item)
+  }
+
+  declarations.forEach(visit)
+  return sorted
+}
+
+// ==================== 核心功能：结构提取 ====================
+
+/**
+ * 提取数据结构
+ */
+function extractStructure(data, options = {}) {
+  return describeType(inferType(data, options), options)
+}
+
+/**
+ * 将推断类型转为结构描述
+ */
+function describeType(typeInfo, options = {}, depth = 0) {
+  const { showLength = true, showSample = false, keysOnly = false, sortKeys = false, maxDepth = 0 } = options
+
+  // 深度限制
+  if (maxDepth > 0 && depth >= maxDepth) return '...'
+
+  // 枚举字段保留基础类型并列出全部取值，如 string<enum: "done" | "pending">
+  if (typeInfo.enumValues) {
+    return keysOnly ? null : `${typeInfo.kind}<enum: ${typeInfo.enumValues.map(value => JSON.stringify(value)).join(' | ')}>`
+  }
+
+  switch (typeInfo.kind) {
+    case 'null':
+      return keysOnly ? null : 'null'
+
+    case 'string': {
+      if (keysOnly) return null
+      const label = typeInfo.format ? `string<${typeInfo.format}>` : 'string'
+      if (showSample) {
+        const sample = typeInfo.sample.length > 30 ? typeInfo.sample.slice(0, 30) + '...' : typeInfo.sample
+        return `${label} ("${sample}")`
+      }
+      return label
+    }
+
+    case 'number':
+    case 'boolean': {
+      if (keysOnly) return null
+      const label = typeInfo.format ? `${typeInfo.kind}<${typeInfo.format}>` : typeInfo.kind
+      return showSample ? `${label} (${typeInfo.sample})` : label
+    }
+
+    case 'array': {
+      const { minLength, maxLength, item } = typeInfo
+      if (!item) return keysOnly ? '[]' : (showLength ? 'array[0]' : 'array[]')
+
+      const lengthRange = minLength === maxLength ? `${minLength}` : `${minLength}~${maxLength}`
+      const lengthInfo = showLength ? `[${lengthRange}]` : ''
+      const itemStructure = describeType(item, options, depth + 1)
+
+      const hasComplexItem = item.kind === 'union' ? item.variants.some(isComplexType) : isComplexType(item)
+      if (!hasComplexItem) {
+        return keysOnly ? `array${lengthInfo}` : `array${lengthInfo}<${itemStructure}>`
+      }
+
+      return { __type__: `array${lengthInfo}`, __items__: itemStructure }
+    }
+
+    case 'object': {
+      const keys = getTypeFieldKeys(typeInfo, sortKeys)
+      if (keys.length === 0) return {}
+
+      const result = {}
+      for (const key of keys) {
+        const field = typeInfo.fields.get(key)
+        const label = isOptionalField(typeInfo, field) ? `${key}?` : key
+        result[label] = describeType(field.type, options, depth + 1)
+      }
+      return result
+    }
+
+    case 'union':
+      return describeUnionType(typeInfo, options, depth)
+
+    default:
+      return keysOnly ? null : typeInfo.kind
+  }
+}
+
+/**
+ * 联合类型的结构描述，如 "string | null"
+ * 包含对象/数组时以 "null | {...}" 形式展示
+ */
+function describeUnionType(typeInfo, options, depth) {
+  const { keysOnly = false } = options
+  const complexVariants = typeInfo.variants.filter(isComplexType)
+  const labels = typeInfo.variants
+    .filter(variant => !isComplexType(variant))
+    .map(variant => describeType(variant, options, depth))
+
+  // 同时出现对象和数组时，展开对象结构，数组以文字形式并入标签
+  if (complexVariants.length > 1) labels.push('array')
+
+  if (complexVariants.length === 0) return keysOnly ? null : labels.join(' | ')
+
+  const structureVariant = complexVariants.find(variant => variant.kind === 'object') || complexVariants[0]
+  const structure = describeType(structureVariant, options, depth)
+  if (keysOnly || labels.length === 0) return structure
+
+  const prefix = labels.join(' | ')
+  if (typeof structure === 'string') return `${structure} | ${prefix}`
+  if (structure.__type__ && structure.__items__ !== undefined) {
+    return { __type__: `${prefix} | ${structure.__type__}`, __items__: structure.__items__ }
+  }
+  return { __type__: `${prefix} |`, __items__: structure }
+}
+
+// ==================== 核心功能：TypeScript 类型生成 ====================
+
+const TS_HIGHLIGHT_RULES = {
+  keywords: ['export', 'interface', 'type', 'enum', 'extends', 'readonly', 'const', 'import', 'from'],
+  types: ['string', 'number', 'boolean', 'null', 'undefined', 'any', 'unknown', 'never', 'Array', 'Record'],
+  declarationKeywords: ['interface', 'type', 'enum']
+}
+
+/**
+ * 生成 TypeScript 类型定义
+ * typeNames 为已提升的命名类型（对象类型 -> 名称），命中时直接引用名称
+ */
+function generateTypeScript(typeInfo, indent = 0, typeNames = null) {
+  const spaces = '  '.repeat(indent)
+
+  if (typeInfo.enumValues) {
+    return typeNames?.has(typeInfo) ? typeNames.get(typeInfo) : typeInfo.enumValues.map(toTypeScriptLiteral).join(' | ')
+  }
+
+  switch (typeInfo.kind) {
+    case 'string':
+    case 'number':
+    case 'boolean':
+    case 'null':
+      return typeInfo.kind
+
+    case 'array': {
+      if (!typeInfo.item) return 'any[]'
+
+      // 如果数组元素是未命名的复杂对象，生成内联接口
+      if (typeInfo.item.kind === 'object' && !typeNames?.has(typeInfo.item)) {
+        return `Array<${generateObjectBody(typeInfo.item, indent, typeNames)}>`
+      }
+
+      const itemType = generateTypeScript(typeInfo.item, indent, typeNames)
+      const isUnionItem = typeInfo.item.kind === 'union' || (itemType.includes(' | ') && typeInfo.item.enumValues)
+      return isUnionItem ? `(${itemType})[]` : `${itemType}[]`
+    }
+
+    case 'object':
+      if (typeNames?.has(typeInfo)) return typeNames.get(typeInfo)
+      return generateObjectBody(typeInfo, indent, typeNames)
+
+    case 'union':
+      return typeInfo.variants.map(variant => generateTypeScript(variant, indent, typeNames)).join(' | ')
+
+    default:
+      return 'any'
+  }
+}
+
+/**
+ * 生成对象类型主体 { ... }
+ */
+function generateObjectBody(typeInfo, indent = 0, typeNames = null) {
+  if (typeInfo.fields.size === 0) return '{}'
+  const spaces = '  '.repeat(indent)
+  return `{\n${generateObjectFields(typeInfo, indent + 1, typeNames)}\n${spaces}}`
+}
+
+/**
+ * 生成对象字段
+ */
+function generateObjectFields(typeInfo, indent = 0, typeNames = null) {
+  const spaces = '  '.repeat(indent)
+  const lines = []
+
+  for (const [key, field] of typeInfo.fields) {
+    const fieldType = generateTypeScript(field.type, indent, typeNames)
+    // 判断是否需要引号
+    const safeKey = /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? key : JSON.stringify(key)
+    const optionalMark = isOptionalField(typeInfo, field) ? '?' : ''
+    const format = getNonNullType(field.type)?.format
+    if (format) lines.push(`${spaces}/** @format ${format} */`)
+    lines.push(`${spaces}${safeKey}${optionalMark}: ${fieldType};`)
+  }
+
+  return lines.join('\n')
+}
+
+/**
+ * TypeScript 字面量类型，字符串使用单引号
+ */
+function toTypeScriptLiteral(value) {
+  if (typeof value !== 'string') return String(value)
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`
+}
+
+/**
+ * 收集枚举字段并按路径命名，如 IResponseDataListItemStatus
+ * 取值完全相同的枚举共用一个声明；返回的 enumNames 为枚举节点 -> 名称
+ */
+function collectEnumTypes(typeInfo, rootName, typeNames = null) {
+  const declarations = []
+  const enumNames = new Map()
+  const nameByValues = new Map()
+  const usedNames = new Set(typeNames ? typeNames.values() : [])
+  usedNames.add(rootName)
+
+  const visit = (node, name) => {
+    if (!node) return
+
+    if (node.enumValues) {
+      const signature = JSON.stringify(node.enumValues)
+      if (!nameByValues.has(signature)) {
+        const uniqueName = getUniqueName(name, usedNames)
+        nameByValues.set(signature, uniqueName)
+        declarations.push({ name: uniqueName, values: node.enumValues })
+      }
+      enumNames.set(node, nameByValues.get(signature))
+    } else if (node.kind === 'array') {
+      visit(node.item, `${name}Item`)
+    } else if (node.kind === 'union') {
+      node.variants.forEach(variant => visit(variant, name))
+    } else if (node.kind === 'object') {
+      const objectName = typeNames?.get(node) ?? name
+      for (const [key, field] of node.fields) visit(field.type, `${objectName}${toPascalCase(key)}`)
+    }
+  }
+
+  visit(typeInfo, rootName)
+  return { declarations, enumNames }
+}
+
+/**
+ * 生成 enum 声明，字符串取值以 PascalCase 作为成员名
+ */
+function formatTypeScriptEnum(name, values, exported = false) {
+  const usedNames = new Set()
+  const members = values.map(value => {
+    const memberName = typeof value === 'string' ? toPascalCase(value) : `Value${String(value).replace('-', 'Minus')}`
+    const safeName = getUniqueName(/^\d/.test(memberName) ? `Value${memberName}` : memberName, usedNames)
+    return `  ${safeName} = ${toTypeScriptLiteral(value)},`
+  })
+  return `${exported ? 'export ' : ''}enum ${name} {\n${members.join('\n')}\n}`
+}
+
+/**
+ * 生成单个类型声明，非对象类型只能使用 type 别名
+ */
+function formatTypeScriptDeclaration(name, content, declaration = 'interface', exported = false) {
+  const exportPrefix = exported ? 'export ' : ''
+  if (declaration === 'interface' && content.startsWith('{')) {
+    return `${exportPrefix}interface ${name} ${content}`
+  }
+  return `${exportPrefix}type ${name} = ${content};`
+}
+
+/**
+ * 生成拆分后的命名类型：每个嵌套对象一个导出声明，结构相同的对象共用声明
+ * useEnum 为 true 时枚举字段生成独立的 enum 声明
+ */
+function generateHoistedTypeScript(typeInfo, rootName, declaration = 'interface', useEnum = false) {
+  const { declarations, typeNames } = collectNamedTypes(typeInfo, rootName)
+  const enums = useEnum ? collectEnumTypes(typeInfo, rootName, typeNames) : null
+  const names = enums ? new Map([...typeNames, ...enums.enumNames]) : typeNames
+
+  const blocks = declarations.map(item =>
+    formatTypeScriptDeclaration(item.name, generateObjectBody(item.typeInfo, 0, names), declaration, true)
+  )
+
+  // 根节点不是对象时（数组、基础类型），额外生成根类型别名
+  if (typeInfo.kind !== 'object') {
+    blocks.unshift(formatTypeScriptDeclaration(rootName, generateTypeScript(typeInfo, 0, names), 'type', true))
+  }
+  if (enums) blocks.unshift(...enums.declarations.map(item => formatTypeScriptEnum(item.name, item.values, true)))
+
+  return blocks.join('\n\n')
+}
+
+/**
+ * TypeScript 转纯文本
+ */
+function typeScriptToText(data, options = {}) {
+  const { tsStyle = 'inline', tsDeclaration = 'interface', tsEnumStyle = 'union' } = options
+  const rootName = getRootTypeName(options, 'IResponse')
+  const typeInfo = inferType(data, options)
+  const useEnum = tsEnumStyle === 'enum'
+
+  if (tsStyle === 'hoisted') return generateHoistedTypeScript(typeInfo, rootName, tsDeclaration, useEnum)
+
+  if (!useEnum) return formatTypeScriptDeclaration(rootName, generateTypeScript(typeInfo, 0), tsDeclaration)
+
+  const { declarations, enumNames } = collectEnumTypes(typeInfo, rootName)
+  return [
+    ...declarations.map(item => formatTypeScriptEnum(item.name, item.values)),
+    formatTypeScriptDeclaration(rootName, generateTypeScript(typeInfo, 0, enumNames), tsDeclaration)
+  ].join('\n\n')
+}
+
+/**
+ * TypeScript 语法高亮
+ */
+function highlightTypeScript(code) {
+  return highlightCode(code, TS_HIGHLIGHT_RULES)
+}
+
+// ==================== 核心功能：Zod Schema 生成 ====================
+
+const ZOD_HIGHLIGHT_RULES = {
+  keywords: ['import', 'from', 'export', 'const', 'type', 'typeof'],
+  types: ['z', 'object', 'array', 'union', 'string', 'number', 'boolean', 'null', 'unknown', 'infer', 'optional', 'nullable'],
+  declarationKeywords: ['const', 'type']
+}
+
+// 字符串语义格式对应的 Zod 校验方法
+const ZOD_STRING_FORMATS = {
+  'date-time': '.datetime({ offset: true })',
+  date: '.date()',
+  uuid: '.uuid()',
+  email: '.email()',
+  uri: '.url()',
+  ipv4: ".ip({ version: 'v4' })",
+  ipv6: ".ip({ version: 'v6' })",
+  base64: '.base64()'
+}
+
+/**
+ * 生成 Zod Schema 表达式
+ * typeNames 为已提升的命名类型，命中时引用对应的 xxxSchema 常量
+ */
+function generateZodSchema(typeInfo, indent = 0, typeNames = null) {
+  const spaces = '  '.repeat(indent)
+
+  if (typeInfo.enumValues) {
+    if (typeInfo.kind === 'string') return `z.enum([${typeInfo.enumValues.map(value => JSON.stringify(value)).join(', ')}])`
+    const literals = typeInfo.enumValues.map(value => `z.literal(${JSON.stringify(value)})`)
+    return literals.length === 1 ? literals[0] : `z.union([${literals.join(', ')}])`
+  }
+
+  switch (typeInfo.kind) {
+    case 'string':
+      return `z.string()${ZOD_STRING_FORMATS[typeInfo.format] || ''}`
+
+    case 'number':
+    case 'boolean':
+    case 'null':
+      return `z.${typeInfo.kind}()`
+
+    case 'array':
+      return `z.array(${typeInfo.item ? generateZodSchema(typeInfo.item, indent, typeNames) : 'z.unknown()'})`
+
+    case 'object': {
+      if (typeNames?.has(typeInfo)) return `${typeNames.get(typeInfo)}Schema`
+      if (typeInfo.fields.size === 0) return 'z.object({})'
+
+      const fieldSpaces = '  '.repeat(indent + 1)
+      const lines = []
+      for (const [key, field] of typeInfo.fields) {
+        const safeKey = /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? key : JSON.stringify(key)
+        const optional = isOptionalField(typeInfo, field) ? '.optional()' : ''
+        lines.push(`${fieldSpaces}${safeKey}: ${generateZodSchema(field.type, indent + 1, typeNames)}${optional},`)
+      }
+      return `z.object({\n${lines.join('\n')}\n${spaces}})`
+    }
+
+    case 'union': {
+      const nonNullVariants = typeInfo.variants.filter(variant => variant.kind !== 'null')
+      const schemas = nonNullVariants.map(variant => generateZodSchema(variant, indent, typeNames))
+      const schema = schemas.length === 1 ? schemas[0] : `z.union([${schemas.join(', ')}])`
+      return nonNullVariants.length < typeInfo.variants.length ? `${schema}.nullable()` : schema
+    }
+
+    default:
+      return 'z.unknown()'
+  }
+}
+
+/**
+ * 生成 Schema 常量与推断类型声明
+ */
+function formatZodDeclaration(name, schema) {
+  return `export const ${name}Schema = ${schema};\nexport type ${name} = z.infer<typeof ${name}Schema>;`
+}
+
+/**
+ * Zod Schema 转纯文本
+ * 拆分模式下嵌套对象各自生成 Schema 常量，按依赖顺序声明（被引用的在前）
+ */
+function zodToText(data, options = {}) {
+  const { tsStyle = 'inline' } = options
+  const rootName = getRootTypeName(options, 'Response')
+  const typeInfo = inferType(data, options)
+  const blocks = ["import { z } from 'zod';"]
+
+  if (tsStyle !== 'hoisted') {
+    blocks.push(formatZodDeclaration(rootName, generateZodSchema(typeInfo, 0)))
+    return blocks.join('\n\n')
+  }
+
+  const { declarations, typeNames } = collectNamedTypes(typeInfo, rootName)
+  for (const item of sortDeclarationsByDependency(declarations, typeNames)) {
+    // 声明自身时展开对象结构，而不是引用自己
+    const ownNames = new Map(typeNames)
+    ownNames.delete(item.typeInfo)
+    blocks.push(formatZodDeclaration(item.name, generateZodSchema(item.typeInfo, 0, ownNames)))
+  }
+
+  if (typeInfo.kind !== 'object') {
+    blocks.push(formatZodDeclaration(rootName, generateZodSchema(typeInfo, 0, typeNames)))
+  }
+
+  return blocks.join('\n\n')
+}
+
+// ==================== 核心功能：Go 结构体生成 ====================
+
+const GO_HIGHLIGHT_RULES = {
+  keywords: ['package', 'type', 'struct', 'map', 'interface'],
+  types: ['string', 'int64', 'float64', 'bool', 'any'],
+  declarationKeywords: ['type']
+}
+
+// Go 命名惯例中需要全大写的缩写词
+const GO_INITIALISMS = new Set(['ID', 'URL', 'URI', 'API', 'HTTP', 'HTTPS', 'JSON', 'XML', 'HTML', 'UUID', 'IP', 'SQL', 'UI', 'UID', 'CPU', 'DNS', 'TCP', 'UDP', 'TLS', 'SSL', 'SSH', 'ACL', 'EOF'])
+
+/**
+ * JSON 键名转 Go 导出字段名，如 user_id -> UserID
+ */
+function toGoFieldName(key) {
+  const name = splitIdentifierWords(key)
+    .map(word => GO_INITIALISMS.has(word.toUpperCase()) ? word.toUpperCase() : capitalize(word))
+    .join('')
+
+  if (!name) return 'Field'
+  return /^\d/.test(name) ? `Field${name}` : name
+}
+
+/**
+ * 生成 Go 类型
+ */
+function generateGoType(typeInfo, typeNames) {
+  if (!typeInfo) return 'any'
+
+  switch (typeInfo.kind) {
+    case 'string':
+      return 'string'
+    case 'number':
+      return typeInfo.integer ? 'int64' : 'float64'
+    case 'boolean':
+      return 'bool'
+    case 'array':
+      return `[]${generateGoType(typeInfo.item, typeNames)}`
+    case 'object':
+      return typeNames.get(typeInfo)
+
+    case 'union': {
+      // 只有「某类型 | null」可以用指针表示，其余混合类型退化为 any
+      const nonNullVariants = typeInfo.variants.filter(variant => variant.kind !== 'null')
+      if (nonNullVariants.length !== 1) return 'any'
+
+      const goType = generateGoType(nonNullVariants[0], typeNames)
+      return nonNullVariants[0].kind === 'array' ? goType : `*${goType}`
+    }
+
+    default:
+      return 'any'
+  }
+}
+
+/**
+ * 生成单个 Go 结构体，字段名、类型、标签按列对齐
+ */
+function formatGoStruct(name, typeInfo, typeNames) {
+  if (typeInfo.fields.size === 0) return `type ${name} struct{}`
+
+  const usedNames = new Set()
+  const rows = Array.from(typeInfo.fields, ([key, field]) => ({
+    name: getUniqueName(toGoFieldName(key), usedNames),
+    type: generateGoType(field.type, typeNames),
+    tag: `\`json:"${key.replace(/[`"\\]/g, '')},omitempty"\``
+  }))
+
+  const nameWidth = Math.max(...rows.map(row => row.name.length))
+  const typeWidth = Math.max(...rows.map(row => row.type.length))
+  const lines = rows.map(row => `\t${row.name.padEnd(nameWidth)} ${row.type.padEnd(typeWidth)} ${row.tag}`)
+
+  return `type ${name} struct {\n${lines.join('\n')}\n}`
+}
+
+/**
+ * Go 结构体转纯文本
+ * 每个嵌套对象生成独立的命名结构体，结构相同的对象共用一个
+ */
+function goToText(data, options = {}) {
+  const rootName = getRootTypeName(options, 'Response')
+  const typeInfo = inferType(data, options)
+  const { declarations, typeNames } = collectNamedTypes(typeInfo, rootName, { dynamicUnions: true })
+  const blocks = declarations.map(item => formatGoStruct(item.name, item.typeInfo, typeNames))
+
+  if (typeInfo.kind !== 'object') {
+    blocks.unshift(`type ${rootName} ${generateGoType(typeInfo, typeNames)}`)
+  }
+
+  return blocks.join('\n\n')
+}
+
+// ==================== 核心功能：Java / Kotlin 类生成 ====================
+
+const JAVA_HIGHLIGHT_RULES = {
+  keywords: ['import', 'public', 'private', 'static', 'class', 'record', 'return', 'void', 'this'],
+  types: ['String', 'Long', 'Double', 'Boolean', 'Object', 'List', 'long', 'double', 'boolean'],
+  declarationKeywords: ['class', 'record']
+}
+
+const KOTLIN_HIGHLIGHT_RULES = {
+  keywords: ['import', 'data', 'class', 'val', 'typealias', 'null'],
+  types: ['String', 'Long', 'Double', 'Boolean', 'Any', 'List'],
+  declarationKeywords: ['class', 'typealias']
+}
+
+const JAVA_KEYWORDS = new Set(['abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const', 'continue', 'default', 'do', 'double', 'else', 'enum', 'extends', 'final', 'finally', 'float', 'for', 'goto', 'if', 'implements', 'import', 'instanceof', 'int', 'interface', 'long', 'native', 'new', 'package', 'private', 'protected', 'public', 'return', 'short', 'static', 'strictfp', 'super', 'switch', 'synchronized', 'this', 'throw', 'throws', 'transient', 'try', 'void', 'volatile', 'while', 'true', 'false', 'null', 'record', 'var', 'yield'])
+
+const KOTLIN_KEYWORDS = new Set(['as', 'break', 'class', 'continue', 'do', 'else', 'false', 'for', 'fun', 'if', 'in', 'interface', 'is', 'null', 'object', 'package', 'return', 'super', 'this', 'throw', 'true', 'try', 'typealias', 'typeof', 'val', 'var', 'when', 'while'])
+
+// 键名与字段名不一致时使用的注解
+const JVM_RENAME_ANNOTATIONS = {
+  jackson: { name: 'JsonProperty', import: 'com.fasterxml.jackson.annotation.JsonProperty' },
+  gson: { name: 'SerializedName', import: 'com.google.gson.annotations.SerializedName' },
+  kotlinx: { name: 'SerialName', import: 'kotlinx.serialization.SerialName' }
+}
+
+/**
+ * 嵌套类名：去掉根类型名前缀，如 ResponseDataListItem -> DataListItem
+ */
+function getNestedClassName(name, rootName) {
+  return name.startsWith(rootName) && name.length > rootName.length ? name.slice(rootName.length) : name
+}
+
+/**
+ * 是否可能为 null（值为 null 或联合类型中包含 null）
+ */
+function isNullableType(typeInfo) {
+  if (!typeInfo) return true
+  if (typeInfo.kind === 'null') return true
+  return typeInfo.kind === 'union' && typeInfo.variants.some(variant => variant.kind === 'null')
+}
+
+/**
+ * 去掉联合类型中的 null，剩下单一类型时返回该类型，否则返回 null
+ */
+function getNonNullType(typeInfo) {
+  if (!typeInfo || typeInfo.kind === 'null') return null
+  if (typeInfo.kind !== 'union') return typeInfo
+
+  const nonNullVariants = typeInfo.variants.filter(variant => variant.kind !== 'null')
+  return nonNullVariants.length === 1 ? nonNullVariants[0] : null
+}
+
+/**
+ * 生成 Java / Kotlin 类型（不含 Kotlin 可空标记）
+ * boxed 为 true 时 Java 使用包装类型
+ */
+function generateJvmType(typeInfo, lang, classNames, boxed = true) {
+  const isJava = lang === 'java'
+  const anyType = isJava ? 'Object' : 'Any'
+  const baseType = getNonNullType(typeInfo)
+  if (!baseType) return anyType
+
+  switch (baseType.kind) {
+    case 'string':
+      return 'String'
+    case 'number':
+      if (baseType.integer) return isJava && !boxed ? 'long' : 'Long'
+      return isJava && !boxed ? 'double' : 'Double'
+    case 'boolean':
+      return isJava && !boxed ? 'boolean' : 'Boolean'
+    case 'array': {
+      if (!baseType.item) return `List<${anyType}>`
+      const itemType = generateJvmType(baseType.item, lang, classNames)
+      return `List<${itemType}${!isJava && isNullableType(baseType.item) ? '?' : ''}>`
+    }
+    case 'object':
+      return classNames.get(baseType)
+    default:
+      return anyType
+  }
+}
+
+/**
+ * 生成类字段描述
+ * 选择了注解库时字段名转为驼峰，与键名不同的字段由注解绑定；
+ * 未选择时保留原始键名（Kotlin 非法标识符用反引号），无法作为字段名的键标记为 unbound
+ */
+function getJvmFields(typeInfo, lang, classNames, annotation = null) {
+  const keywords = lang === 'java' ? JAVA_KEYWORDS : KOTLIN_KEYWORDS
+  const usedNames = annotation ? new Set() : new Set(typeInfo.fields.keys())
+
+  return Array.from(typeInfo.fields, ([key, field]) => {
+    const nullable = isNullableType(field.type) || isOptionalField(typeInfo, field)
+    const type = generateJvmType(field.type, lang, classNames, nullable)
+
+    if (!annotation) {
+      if (isJvmIdentifier(key, lang) && !keywords.has(key)) return { key, name: key, renamed: false, nullable, type }
+      // Kotlin 反引号标识符不能包含 JVM 名称中的保留字符
+      if (lang === 'kotlin' && key && !/[.;[\]/<>:\\`\r\n]/.test(key)) return { key, name: `\`${key}\``, renamed: false, nullable, type }
+    }
+
+    let name = getUniqueName(toCamelCase(key), usedNames)
+    let escaped = false
+
+    if (keywords.has(name)) {
+      if (lang === 'kotlin') escaped = true
+      else name = getUniqueName(`${name}_`, usedNames)
+    }
+
+    return {
+      key,
+      name: escaped ? `\`${name}\`` : name,
+      renamed: name !== key,
+      unbound: !annotation && name !== key,
+      nullable,
+      type
+    }
+  })
+}
+
+/**
+ * 键名是否可直接作为 Java / Kotlin 标识符
+ */
+function isJvmIdentifier(key, lang) {
+  return lang === 'java' ? /^[A-Za-z_$][\w$]*$/.test(key) && key !== '_' : /^[A-Za-z_][\w]*$/.test(key)
+}
+
+/**
+ * 生成重命名注解；未选择注解库却不得不改名的字段输出提示注释
+ */
+function formatJvmRenameAnnotation(field, annotation, spaces = '') {
+  if (field.unbound) return `// 键名 ${JSON.stringify(field.key)} 不是合法的字段名，需选择键名注解才能绑定\n${spaces}`
+  if (!annotation || !field.renamed) return ''
+  return `@${annotation.name}(${JSON.stringify(field.key)}) `
+}
+
+/**
+ * 生成 Kotlin data class
+ */
+function formatKotlinClass(name, typeInfo, classNames, options, indent, nested = '') {
+  const { annotation, serializable } = options
+  const spaces = ' '.repeat(indent)
+  const header = serializable ? `${spaces}@Serializable\n` : ''
+  const body = nested ? ` {\n${nested}\n${spaces}}` : ''
+
+  if (typeInfo.fields.size === 0) return `${header}${spaces}class ${name}${body}`
+
+  const params = getJvmFields(typeInfo, 'kotlin', classNames, annotation).map(field => {
+    const type = `${field.type}${field.nullable ? '? = null' : ''}`
+    return `${spaces}    ${formatJvmRenameAnnotation(field, annotation, `${spaces}    `)}val ${field.name}: ${type},`
+  })
+
+  return `${header}${spaces}data class ${name}(\n${params.join('\n')}\n${spaces})${body}`
+}
+
+/**
+ * 生成 Java record
+ */
+function formatJavaRecord(name, typeInfo, classNames, options, indent, nested = '') {
+  const spaces = ' '.repeat(indent)
+  const components = getJvmFields(typeInfo, 'java', classNames, options.annotation).map(field =>
+    `${spaces}    ${formatJvmRenameAnnotation(field, options.annotation, `${spaces}    `)}${field.type} ${field.name}`
+  )
+  const params = components.length > 0 ? `\n${components.join(',\n')}\n${spaces}` : ''
+  const body = nested ? ` {\n${nested}\n${spaces}}` : ' {}'
+  return `${spaces}public record ${name}(${params})${body}`
+}
+
+/**
+ * 生成 Java POJO（私有字段 + getter / setter）
+ */
+function formatJavaPojo(name, typeInfo, classNames, options, indent, nested = '') {
+  const spaces = ' '.repeat(indent)
+  const memberSpaces = ' '.repeat(indent + 4)
+  const fields = getJvmFields(typeInfo, 'java', classNames, options.annotation)
+  const sections = []
+
+  if (fields.length > 0) {
+    sections.push(fields.map(field =>
+      `${memberSpaces}${formatJvmRenameAnnotation(field, options.annotation, memberSpaces)}private ${field.type} ${field.name};`
+    ).join('\n'))
+
+    sections.push(fields.map(field => {
+      const accessor = capitalize(field.name)
+      const getter = field.type === 'boolean' ? `is${accessor}` : `get${accessor}`
+      return [
+        `${memberSpaces}public ${field.type} ${getter}() { return ${field.name}; }`,
+        `${memberSpaces}public void set${accessor}(${field.type} ${field.name}) { this.${field.name} = ${field.name}; }`
+      ].join('\n')
+    }).join('\n\n'))
+  }
+
+  if (nested) sections.push(nested)
+
+  const modifier = indent > 0 ? 'public static ' : 'public '
+  if (sections.length === 0) return `${spaces}${modifier}class ${name} {}`
+  return `${spaces}${modifier}class ${name} {\n${sections.join('\n\n')}\n${spaces}}`
+}
+
+/**
+ * 生成 Java / Kotlin 代码
+ * 根节点为对象时，其余命名类型作为嵌套类放在根类内部
+ */
+function generateJvmClasses(data, options, lang) {
+  const isJava = lang === 'java'
+  const rootName = getRootTypeName(options, 'Response')
+  const typeInfo = inferType(data, options)
+  const { declarations, typeNames } = collectNamedTypes(typeInfo, rootName, { dynamicUnions: true })
+  const nestInRoot = typeInfo.kind === 'object'
+
+  const classNames = new Map()
+  for (const [node, name] of typeNames) {
+    classNames.set(node, nestInRoot && name !== rootName ? getNestedClassName(name, rootName) : name)
+  }
+
+  // kotlinx.serialization 仅适用于 Kotlin
+  const library = isJava && options.jvmAnnotation === 'kotlinx' ? 'none' : options.jvmAnnotation
+  const formatOptions = {
+    annotation: JVM_RENAME_ANNOTATIONS[library] || null,
+    serializable: !isJava && library === 'kotlinx'
+  }
+
+  const formatClass = !isJava
+    ? formatKotlinClass
+    : options.javaStyle === 'record' ? formatJavaRecord : formatJavaPojo
+
+  const classBlocks = (items, indent) => items
+    .map(item => formatClass(classNames.get(item.typeInfo), item.typeInfo, classNames, formatOptions, indent))
+    .join('\n\n')
+
+  let code
+  if (nestInRoot) {
+    const [root, ...nestedItems] = declarations
+    code = formatClass(rootName, root.typeInfo, classNames, formatOptions, 0, classBlocks(nestedItems, 4))
+  } else {
+    const rootType = generateJvmType(typeInfo, lang, classNames)
+    const rootLine = isJava
+      ? `// 根节点类型：${rootType}`
+      : `typealias ${rootName} = ${rootType}${isNullableType(typeInfo) ? '?' : ''}`
+    code = [rootLine, classBlocks(declarations, 0)].filter(Boolean).join('\n\n')
+  }
+
+  // 按实际使用情况生成 import
+  const imports = []
+  if (isJava && /\bList</.test(code)) imports.push('java.util.List')
+  if (formatOptions.annotation && code.includes(`@${formatOptions.annotation.name}(`)) {
+    imports.push(formatOptions.annotation.import)
+  }
+  if (formatOptions.serializable) imports.push('kotlinx.serialization.Serializable')
+
+  const importLines = imports.map(item => `import ${item}${isJava ? ';' : ''}`).join('\n')
+  return importLines ? `${importLines}\n\n${code}` : code
+}
+
+/**
+ * Kotlin data class 转纯文本
+ */
+function kotlinToText(data, options = {}) {
+  return generateJvmClasses(data, options, 'kotlin')
+}
+
+/**
+ * Java POJO / record 转纯文本
+ */
+function javaToText(data, options = {}) {
+  return generateJvmClasses(data, options, 'java')
+}
+
+// ==================== 核心功能：Python 模型生成 ====================
+
+const PYTHON_HIGHLIGHT_RULES = {
+  keywords: ['from', 'import', 'class', 'def', 'return', 'for', 'in', 'pass', 'None', 'True', 'False'],
+  types: ['str', 'int', 'float', 'bool', 'list', 'Any', 'Optional', 'Union', 'BaseModel', 'ConfigDict', 'Field', 'dict', 'classmethod'],
+  declarationKeywords: ['class'],
+  lineComment: '#'
+}
+
+const PYTHON_KEYWORDS = new Set(['False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'])
+
+// 生成的类体会引用这些名称（类型注解、装饰器、Pydantic 配置），同名字段会遮蔽它们，
+// 如 list: Optional[list[int]] = None 在定义类时就会报错，这些键名同样加下划线；id、type 等未被引用的内置名不受影响
+const PYTHON_RESERVED_NAMES = new Set(['str', 'int', 'float', 'bool', 'list', 'dict', 'classmethod', 'Any', 'Optional', 'Union', 'Field', 'model_config'])
+
+/**
+ * 生成 Python 类型注解
+ */
+function generatePythonType(typeInfo, classNames, imports) {
+  const baseType = getNonNullType(typeInfo)
+  let pythonType
+
+  if (typeInfo?.kind === 'union' && !baseType) {
+    const variants = typeInfo.variants.filter(variant => variant.kind !== 'null')
+    pythonType = `Union[${variants.map(variant => generatePythonType(variant, classNames, imports)).join(', ')}]`
+    imports.add('Union')
+  } else if (!baseType) {
+    pythonType = 'Any'
+  } else {
+    switch (baseType.kind) {
+      case 'string':
+        pythonType = 'str'
+        break
+      case 'number':
+        pythonType = baseType.integer ? 'int' : 'float'
+        break
+      case 'boolean':
+        pythonType = 'bool'
+        break
+      case 'array':
+        pythonType = `list[${baseType.item ? generatePythonType(baseType.item, classNames, imports) : 'Any'}]`
+        if (!baseType.item) imports.add('Any')
+        break
+      case 'object':
+        pythonType = classNames.get(baseType)
+        break
+      default:
+        pythonType = 'Any'
+    }
+  }
+
+  if (pythonType === 'Any') {
+    imports.add('Any')
+    return pythonType
+  }
+
+  if (isNullableType(typeInfo)) {
+    imports.add('Optional')
+    return `Optional[${pythonType}]`
+  }
+  return pythonType
+}
+
+/**
+ * 生成 Python 字段描述
+ * 键名不是合法标识符时转为 snake_case，与关键字或内置名称冲突时加下划线，并记录别名
+ */
+function getPythonFields(typeInfo, classNames, imports) {
+  const usedNames = new Set()
+
+  return Array.from(typeInfo.fields, ([key, field]) => {
+    const optional = isOptionalField(typeInfo, field)
+    let type = generatePythonType(field.type, classNames, imports)
+    if (optional && !type.startsWith('Optional[') && type !== 'Any') {
+      imports.add('Optional')
+      type = `Optional[${type}]`
+    }
+
+    let name = /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? key : toSnakeCase(key)
+    if (PYTHON_KEYWORDS.has(name) || PYTHON_RESERVED_NAMES.has(name)) name = `${name}_`
+    name = getUniqueName(name, usedNames)
+
+    return { key, name, type, typeInfo: field.type, alias: name !== key ? key : null, hasDefault: optional || type.startsWith('Optional[') }
+  })
+}
+
+/**
+ * 生成 Python 字段默认值 / 别名声明
+ * 只有 Pydantic 的 Field(alias=...) 参与解析，dataclass 的键名映射由 from_dict 完成
+ */
+function formatPythonFieldDefault(field, style) {
+  if (!field.alias || style !== 'pydantic') return field.hasDefault ? ' = None' : ''
+
+  const defaultArg = field.hasDefault ? 'default=None, ' : ''
+  return ` = Field(${defaultArg}alias=${JSON.stringify(field.alias)})`
+}
+
+/**
+ * 生成把 JSON 值转为字段类型的 Python 表达式，嵌套类调用其 from_dict，列表逐项转换
+ * nullable 时取值为 None 原样保留；不需要转换（标量、联合等）时返回 null
+ */
+function getPythonConverter(typeInfo, classNames, expr, nullable = isNullableType(typeInfo), depth = 0) {
+  const baseType = getNonNullType(typeInfo)
+  if (!baseType) return null
+
+  let converted = null
+  if (baseType.kind === 'object' && classNames.has(baseType)) {
+    converted = `${classNames.get(baseType)}.from_dict(${expr})`
+  } else if (baseType.kind === 'array' && baseType.item) {
+    const item = depth === 0 ? 'item' : `item${depth + 1}`
+    const itemConverter = getPythonConverter(baseType.item, classNames, item, isNullableType(baseType.item), depth + 1)
+    if (itemConverter) converted = `[${itemConverter} for ${item} in ${expr}]`
+  }
+
+  if (!converted) return null
+  return nullable ? `None if ${expr} is None else ${converted}` : converted
+}
+
+/**
+ * 生成 dataclass 的 from_dict 类方法：按 JSON 键名取值，嵌套类与类列表递归构造
+ * 有默认值的字段用 data.get，缺失时为 None
+ */
+function formatPythonFromDict(name, fields, classNames) {
+  const args = fields.map(field => {
+    const value = field.hasDefault ? `data.get(${JSON.stringify(field.key)})` : `data[${JSON.stringify(field.key)}]`
+    return `            ${field.name}=${getPythonConverter(field.typeInfo, classNames, value, field.hasDefault) ?? value},`
+  })
+
+  return [
+    '    @classmethod',
+    `    def from_dict(cls, data: dict[str, Any]) -> "${name}":`,
+    ...(args.length > 0 ? ['        return cls(', ...args, '        )'] : ['        return cls()'])
+  ]
+}
+
+/**
+ * 生成单个 Python 类
+ */
+function formatPythonClass(name, typeInfo, classNames, style, imports) {
+  let fields = getPythonFields(typeInfo, classNames, imports)
+
+  // dataclass 中有默认值的字段必须排在无默认值字段之后
+  if (style === 'dataclass') {
+    fields = [...fields.filter(field => !field.hasDefault), ...fields.filter(field => field.hasDefault)]
+  }
+
+  const lines = []
+  if (style === 'pydantic' && fields.some(field => field.alias)) {
+    lines.push('    model_config = ConfigDict(populate_by_name=True)', '')
+    imports.add('ConfigDict')
+  }
+
+  for (const field of fields) {
+    if (field.alias && style === 'pydantic') imports.add('Field')
+    lines.push(`    ${field.name}: ${field.type}${formatPythonFieldDefault(field, style)}`)
+  }
+
+  if (style === 'dataclass') {
+    if (lines.length > 0) lines.push('')
+    lines.push(...formatPythonFromDict(name, fields, classNames))
+    imports.add('Any')
+  }
+
+  if (lines.length === 0) lines.push('    pass')
+
+  const header = style === 'pydantic' ? `class ${name}(BaseModel):` : `@dataclass\nclass ${name}:`
+  return `${header}\n${lines.join('\n')}`
+}
+
+/**
+ * Python 模型转纯文本
+ * 类按依赖顺序声明，被引用的模型在前
+ */
+function pythonToText(data, options = {}) {
+  const style = options.pythonStyle === 'pydantic' ? 'pydantic' : 'dataclass'
+  const rootName = getRootTypeName(options, 'Response')
+  const typeInfo = inferType(data, options)
+  const { declarations, typeNames } = collectNamedTypes(typeInfo, rootName)
+  const imports = new Set()
+
+  const blocks = sortDeclarationsByDependency(declarations, typeNames)
+    .map(item => formatPythonClass(item.name, item.typeInfo, typeNames, style, imports))
+
+  if (typeInfo.kind !== 'object') {
+    blocks.push(`${rootName} = ${generatePythonType(typeInfo, typeNames, imports)}`)
+  }
+
+  const importLines = []
+  if (style === 'dataclass' && declarations.length > 0) {
+    importLines.push('from dataclasses import dataclass')
+  }
+  const typingImports = ['Any', 'Optional', 'Union'].filter(name => imports.has(name))
+  if (typingImports.length > 0) importLines.push(`from typing import ${typingImports.join(', ')}`)
+  if (style === 'pydantic') {
+    importLines.push(`from pydantic import ${['BaseModel', 'ConfigDict', 'Field'].filter(name => name === 'BaseModel' || imports.has(name)).join(', ')}`)
+  }
+
+  const code = blocks.join('\n\n\n')
+  return importLines.length > 0 ? `${importLines.join('\n')}\n\n\n${code}` : code
+}
+
+// ==================== 核心功能：Rust 结构体生成 ====================
+
+const RUST_HIGHLIGHT_RULES = {
+  keywords: ['use', 'pub', 'struct', 'type'],
+  types: ['String', 'i64', 'f64', 'bool', 'Vec', 'Option', 'serde_json', 'Value'],
+  declarationKeywords: ['struct', 'type']
+}
+
+const RUST_KEYWORDS = new Set(['as', 'async', 'await', 'break', 'const', 'continue', 'crate', 'dyn', 'else', 'enum', 'extern', 'false', 'fn', 'for', 'if', 'impl', 'in', 'let', 'loop', 'match', 'mod', 'move', 'mut', 'pub', 'ref', 'return', 'self', 'static', 'struct', 'super', 'trait', 'true', 'type', 'unsafe', 'use', 'where', 'while', 'abstract', 'become', 'box', 'do', 'final', 'macro', 'override', 'priv', 'try', 'typeof', 'unsized', 'virtual', 'yield'])
+
+/**
+ * 生成 Rust 类型
+ * 数字按采样值是否全为整数选择 i64 / f64，混合类型退化为 serde_json::Value
+ */
+function generateRustType(typeInfo, structNames) {
+  const baseType = getNonNullType(typeInfo)
+  let rustType = 'serde_json::Value'
+
+  if (baseType) {
+    switch (baseType.kind) {
+      case 'string':
+        rustType = 'String'
+        break
+      case 'number':
+        rustType = baseType.integer ? 'i64' : 'f64'
+        break
+      case 'boolean':
+        rustType = 'bool'
+        break
+      case 'array':
+        rustType = `Vec<${baseType.item ? generateRustType(baseType.item, structNames) : 'serde_json::Value'}>`
+        break
+      case 'object':
+        rustType = structNames.get(baseType)
+        break
+    }
+  }
+
+  return isNullableType(typeInfo) ? `Option<${rustType}>` : rustType
+}
+
+/**
+ * 生成单个 Rust 结构体
+ * 字段统一为 snake_case，与原键名不一致时添加 #[serde(rename = "...")]
+ */
+function formatRustStruct(name, typeInfo, structNames) {
+  const derive = '#[derive(Debug, Clone, Serialize, Deserialize)]'
+  if (typeInfo.fields.size === 0) return `${derive}\npub struct ${name} {}`
+
+  const usedNames = new Set()
+  const lines = []
+
+  for (const [key, field] of typeInfo.fields) {
+    const snakeName = getUniqueName(toSnakeCase(key), usedNames)
+    const fieldName = RUST_KEYWORDS.has(snakeName) ? `r#${snakeName}` : snakeName
+
+    let fieldType = generateRustType(field.type, structNames)
+    if (isOptionalField(typeInfo, field) && !fieldType.startsWith('Option<')) {
+      fieldType = `Option<${fieldType}>`
+    }
+
+    if (snakeName !== key) lines.push(`    #[serde(rename = ${JSON.stringify(key)})]`)
+    lines.push(`    pub ${fieldName}: ${fieldType},`)
+  }
+
+  return `${derive}\npub struct ${name} {\n${lines.join('\n')}\n}`
+}
+
+/**
+ * Rust 结构体转纯文本
+ */
+function rustToText(data, options = {}) {
+  const rootName = getRootTypeName(options, 'Response')
+  const typeInfo = inferType(data, options)
+  const { declarations, typeNames } = collectNamedTypes(typeInfo, rootName, { dynamicUnions: true })
+  const blocks = declarations.map(item => formatRustStruct(item.name, item.typeInfo, typeNames))
+
+  if (typeInfo.kind !== 'object') {
+    blocks.unshift(`pub type ${rootName} = ${generateRustType(typeInfo, typeNames)};`)
+  }
+
+  return ['use serde::{Deserialize, Serialize};', ...blocks].join('\n\n')
+}
+
+// ==================== 核心功能：Swift / Dart 模型生成 ====================
+
+const SWIFT_HIGHLIGHT_RULES = {
+  keywords: ['import', 'struct', 'let', 'enum', 'case', 'typealias'],
+  types: ['String', 'Int', 'Double', 'Bool', 'Codable', 'CodingKey', 'AnyCodable'],
+  declarationKeywords: ['struct', 'typealias']
+}
+
+const DART_HIGHLIGHT_RULES = {
+  keywords: ['class', 'final', 'required', 'this', 'factory', 'typedef', 'null', 'as'],
+  types: ['String', 'int', 'double', 'bool', 'num', 'List', 'Map', 'dynamic'],
+  declarationKeywords: ['class', 'typedef']
+}
+
+const SWIFT_KEYWORDS = new Set(['as', 'associatedtype', 'break', 'case', 'catch', 'class', 'continue', 'default', 'defer', 'deinit', 'do', 'else', 'enum', 'extension', 'fallthrough', 'false', 'fileprivate', 'for', 'func', 'guard', 'if', 'import', 'in', 'init', 'inout', 'internal', 'is', 'let', 'nil', 'open', 'operator', 'private', 'protocol', 'public', 'repeat', 'rethrows', 'return', 'self', 'static', 'struct', 'subscript', 'super', 'switch', 'throw', 'throws', 'true', 'try', 'typealias', 'var', 'where', 'while'])
+
+const DART_KEYWORDS = new Set(['abstract', 'as', 'assert', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'covariant', 'default', 'deferred', 'do', 'dynamic', 'else', 'enum', 'export', 'extends', 'extension', 'external', 'factory', 'false', 'final', 'finally', 'for', 'get', 'if', 'implements', 'import', 'in', 'interface', 'is', 'late', 'library', 'mixin', 'new', 'null', 'operator', 'part', 'required', 'rethrow', 'return', 'set', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typedef', 'var', 'void', 'while', 'with', 'yield'])
+
+/**
+ * 生成 Swift 类型，混合类型使用 AnyCodable
+ */
+function generateSwiftType(typeInfo, structNames) {
+  const baseType = getNonNullType(typeInfo)
+  let swiftType = 'AnyCodable'
+
+  if (baseType) {
+    switch (baseType.kind) {
+      case 'string':
+        swiftType = 'String'
+        break
+      case 'number':
+        swiftType = baseType.integer ? 'Int' : 'Double'
+        break
+      case 'boolean':
+        swiftType = 'Bool'
+        break
+      case 'array':
+        swiftType = `[${baseType.item ? generateSwiftType(baseType.item, structNames) : 'AnyCodable'}]`
+        break
+      case 'object':
+        swiftType = structNames.get(baseType)
+        break
+    }
+  }
+
+  return isNullableType(typeInfo) ? `${swiftType}?` : swiftType
+}
+
+/**
+ * 生成单个 Swift Codable 结构体，键名与属性名不一致时生成 CodingKeys
+ */
+function formatSwiftStruct(name, typeInfo, structNames) {
+  if (typeInfo.fields.size === 0) return `struct ${name}: Codable {}`
+
+  const usedNames = new Set()
+  const fields = Array.from(typeInfo.fields, ([key, field]) => {
+    const propertyName = getUniqueName(toCamelCase(key), usedNames)
+    let type = generateSwiftType(field.type, structNames)
+    if (isOptionalField(typeInfo, field) && !type.endsWith('?')) type = `${type}?`
+    return { key, name: propertyName, type }
+  })
+
+  const escapeName = fieldName => SWIFT_KEYWORDS.has(fieldName) ? `\`${fieldName}\`` : fieldName
+  const lines = fields.map(field => `    let ${escapeName(field.name)}: ${field.type}`)
+
+  if (fields.some(field => field.name !== field.key)) {
+    const cases = fields.map(field => field.name === field.key
+      ? `        case ${escapeName(field.name)}`
+      : `        case ${escapeName(field.name)} = ${JSON.stringify(field.key)}`)
+    lines.push('', '    enum CodingKeys: String, CodingKey {', ...cases, '    }')
+  }
+
+  return `struct ${name}: Codable {\n${lines.join('\n')}\n}`
+}
+
+/**
+ * Swift Codable 转纯文本
+ */
+function swiftToText(data, options = {}) {
+  const rootName = getRootTypeName(options, 'Response')
+  const typeInfo = inferType(data, options)
+  const { declarations, typeNames } = collectNamedTypes(typeInfo, rootName, { dynamicUnions: true })
+  const blocks = declarations.map(item => formatSwiftStruct(item.name, item.typeInfo, typeNames))
+
+  if (typeInfo.kind !== 'object') {
+    blocks.unshift(`typealias ${rootName} = ${generateSwiftType(typeInfo, typeNames)}`)
+  }
+
+  const code = blocks.join('\n\n')
+  const header = ['import Foundation']
+  if (/\bAnyCodable\b/.test(code)) header.push('// 混合类型字段使用 AnyCodable（https://github.com/Flight-School/AnyCodable）')
+  return `${header.join('\n')}\n\n${code}`
+}
+
+/**
+ * Dart 单引号字符串字面量
+ */
+function toDartString(str) {
+  return `'${str.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\$/g, '\\$')}'`
+}
+
+/**
+ * 生成 Dart 类型（不含可空标记）
+ */
+function generateDartType(typeInfo, classNames) {
+  const baseType = getNonNullType(typeInfo)
+  if (!baseType) return 'dynamic'
+
+  switch (baseType.kind) {
+    case 'string':
+      return 'String'
+    case 'number':
+      return baseType.integer ? 'int' : 'double'
+    case 'boolean':
+      return 'bool'
+    case 'array': {
+      if (!baseType.item) return 'List<dynamic>'
+      const itemType = generateDartType(baseType.item, classNames)
+      return `List<${itemType}${isDartNullable(baseType.item, itemType) ? '?' : ''}>`
+    }
+    case 'object':
+      return classNames.get(baseType)
+    default:
+      return 'dynamic'
+  }
+}
+
+/**
+ * Dart 类型是否需要可空标记（dynamic 本身可空）
+ */
+function isDartNullable(typeInfo, dartType) {
+  return dartType !== 'dynamic' && isNullableType(typeInfo)
+}
+
+/**
+ * 生成 fromJson 中的字段转换表达式
+ */
+function generateDartFromJson(expr, typeInfo, classNames, nullable) {
+  const baseType = getNonNullType(typeInfo)
+  const dartType = generateDartType(typeInfo, classNames)
+  const q = nullable ? '?' : ''
+  if (!baseType || dartType === 'dynamic') return expr
+
+  switch (baseType.kind) {
+    case 'number':
+      // JSON 中的整数也可能出现在浮点字段中，统一经 num 转换
+      return baseType.integer ? `${expr} as int${q}` : `(${expr} as num${q})${q}.toDouble()`
+    case 'object': {
+      const value = `${dartType}.fromJson(${expr} as Map<String, dynamic>)`
+      return nullable ? `${expr} == null ? null : ${value}` : value
+    }
+    case 'array': {
+      if (!baseType.item) return `${expr} as List<dynamic>${q}`
+      const itemType = generateDartType(baseType.item, classNames)
+      const itemExpr = generateDartFromJson('e', baseType.item, classNames, isDartNullable(baseType.item, itemType))
+      if (itemExpr === 'e') return `${expr} as List<dynamic>${q}`
+      return `(${expr} as List<dynamic>${q})${q}.map((e) => ${itemExpr}).toList()`
+    }
+    default:
+      return `${expr} as ${dartType}${q}`
+  }
+}
+
+/**
+ * 生成 toJson 中的字段转换表达式
+ */
+function generateDartToJson(expr, typeInfo, classNames, nullable) {
+  const baseType = getNonNullType(typeInfo)
+  const q = nullable ? '?' : ''
+  if (!baseType) return expr
+
+  if (baseType.kind === 'object') return `${expr}${q}.toJson()`
+
+  if (baseType.kind === 'array' && baseType.item) {
+    const itemType = generateDartType(baseType.item, classNames)
+    const itemExpr = generateDartToJson('e', baseType.item, classNames, isDartNullable(baseType.item, itemType))
+    return itemExpr === 'e' ? expr : `${expr}${q}.map((e) => ${itemExpr}).toList()`
+  }
+
+  return expr
+}
+
+/**
+ * 生成单个 Dart 模型类（字段、构造函数、fromJson / toJson）
+ */
+function formatDartClass(name, typeInfo, classNames) {
+  const usedNames = new Set()
+  const fields = Array.from(typeInfo.fields, ([key, field]) => {
+    let fieldName = getUniqueName(toCamelCase(key), usedNames)
+    if (DART_KEYWORDS.has(fieldName)) fieldName = getUniqueName(`${fieldName}Value`, usedNames)
+
+    const type = generateDartType(field.type, classNames)
+    const nullable = type !== 'dynamic' && (isNullableType(field.type) || isOptionalField(typeInfo, field))
+    return { key, name: fieldName, typeInfo: field.type, type, nullable }
+  })
+
+  if (fields.length === 0) {
+    return [
+      `class ${name} {`,
+      `  ${name}();`,
+      '',
+      `  factory ${name}.fromJson(Map<String, dynamic> json) => ${name}();`,
+      '',
+      '  Map<String, dynamic> toJson() => {};',
+      '}'
+    ].join('\n')
+  }
+
+  const declarations = fields.map(field => `  final ${field.type}${field.nullable ? '?' : ''} ${field.name};`)
+  const params = fields.map(field => `    ${field.nullable || field.type === 'dynamic' ? '' : 'required '}this.${field.name},`)
+  const fromJson = fields.map(field =>
+    `        ${field.name}: ${generateDartFromJson(`json[${toDartString(field.key)}]`, field.typeInfo, classNames, field.nullable)},`
+  )
+  const toJson = fields.map(field =>
+    `        ${toDartString(field.key)}: ${generateDartToJson(field.name, field.typeInfo, classNames, field.nullable)},`
+  )
+
+  return [
+    `class ${name} {`,
+    ...declarations,
+    '',
+    `  ${name}({`,
+    ...params,
+    '  });',
+    '',
+    `  factory ${name}.fromJson(Map<String, dynamic> json) => ${name}(`,
+    ...fromJson,
+    '      );',
+    '',
+    '  Map<String, dynamic> toJson() => {',
+    ...toJson,
+    '      };',
+    '}'
+  ].join('\n')
+}
+
+/**
+ * Dart 模型转纯文本
+ */
+function dartToText(data, options = {}) {
+  const rootName = getRootTypeName(options, 'Response')
+  const typeInfo = inferType(data, options)
+  const { declarations, typeNames } = collectNamedTypes(typeInfo, rootName, { dynamicUnions: true })
+  const blocks = declarations.map(item => formatDartClass(item.name, item.typeInfo, typeNames))
+
+  if (typeInfo.kind !== 'object') {
+    const rootType = generateDartType(typeInfo, typeNames)
+    blocks.unshift(`typedef ${rootName} = ${rootType}${isDartNullable(typeInfo, rootType) ? '?' : ''};`)
+  }
+
+  return blocks.join('\n\n')
+}
+
+// ==================== 核心功能：Protobuf / GraphQL Schema 生成 ====================
+
+const PROTOBUF_HIGHLIGHT_RULES = {
+  keywords: ['syntax', 'import', 'message', 'repeated', 'optional', 'json_name'],
+  types: ['string', 'int64', 'double', 'bool', 'google', 'protobuf', 'StringValue', 'Int64Value', 'DoubleValue', 'BoolValue', 'Value', 'ListValue'],
+  declarationKeywords: ['message']
+}
+
+const GRAPHQL_HIGHLIGHT_RULES = {
+  keywords: ['type', 'scalar'],
+  types: ['String', 'Int', 'Float', 'Boolean', 'JSON'],
+  declarationKeywords: ['type', 'scalar'],
+  lineComment: '#'
+}
+
+const PROTOBUF_WRAPPER_TYPES = {
+  string: 'google.protobuf.StringValue',
+  int64: 'google.protobuf.Int64Value',
+  double: 'google.protobuf.DoubleValue',
+  bool: 'google.protobuf.BoolValue'
+}
+
+/**
+ * 生成 Protobuf 字段类型，返回 { type, repeated }
+ * 可空标量使用 google.protobuf 包装类型，嵌套数组与混合类型使用 ListValue / Value
+ */
+function generateProtobufType(typeInfo, messageNames) {
+  const baseType = getNonNullType(typeInfo)
+  if (!baseType) return { type: 'google.protobuf.Value', repeated: false }
+
+  let type = 'google.protobuf.Value'
+  switch (baseType.kind) {
+    case 'string':
+      type = 'string'
+      break
+    case 'number':
+      type = baseType.integer ? 'int64' : 'double'
+      break
+    case 'boolean':
+      type = 'bool'
+      break
+    case 'object':
+      type = messageNames.get(baseType)
+      break
+    case 'array': {
+      // repeated 不能嵌套，内层数组退化为 ListValue
+      if (!baseType.item) return { type: 'google.protobuf.Value', repeated: true }
+      const item = generateProtobufType(baseType.item, messageNames)
+      return { type: item.repeated ? 'google.protobuf.ListValue' : item.type, repeated: true }
+    }
+  }
+
+  if (isNullableType(typeInfo) && PROTOBUF_WRAPPER_TYPES[type]) type = PROTOBUF_WRAPPER_TYPES[type]
+  return { type, repeated: false }
+}
+
+/**
+ * Protobuf 默认的 JSON 字段名（snake_case 转 lowerCamelCase）
+ */
+function getProtobufJsonName(fieldName) {
+  return fieldName.replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase())
+}
+
+/**
+ * 生成单个 Protobuf message，字段编号按出现顺序从 1 开始
+ */
+function formatProtobufMessage(name, typeInfo, messageNames) {
+  if (typeInfo.fields.size === 0) return `message ${name} {}`
+
+  const usedNames = new Set()
+  const lines = []
+  let fieldNumber = 1
+
+  for (const [key, field] of typeInfo.fields) {
+    const fieldName = getUniqueName(toSnakeCase(key), usedNames)
+    const { type, repeated } = generateProtobufType(field.type, messageNames)
+
+    // 仅缺省（非 null）的标量字段使用 optional 保留字段存在性
+    let label = ''
+    if (repeated) label = 'repeated '
+    else if (isOptionalField(typeInfo, field) && ['string', 'int64', 'double', 'bool'].includes(type)) label = 'optional '
+
+    const jsonName = key !== fieldName && key !== getProtobufJsonName(fieldName)
+      ? ` [json_name = ${JSON.stringify(key)}]`
+      : ''
+    lines.push(`  ${label}${type} ${fieldName} = ${fieldNumber++}${jsonName};`)
+  }
+
+  return `message ${name} {\n${lines.join('\n')}\n}`
+}
+
+/**
+ * Protobuf 转纯文本
+ * 根节点不是对象时包装为 Response { items / value }
+ */
+function protobufToText(data, options = {}) {
+  const rootName = getRootTypeName(options, 'Response')
+  const typeInfo = inferType(data, options)
+  const { declarations, typeNames } = collectNamedTypes(typeInfo, rootName, { dynamicUnions: true })
+  const blocks = declarations.map(item => formatProtobufMessage(item.name, item.typeInfo, typeNames))
+
+  if (typeInfo.kind !== 'object') {
+    const { type, repeated } = generateProtobufType(typeInfo, typeNames)
+    const field = repeated ? `repeated ${type} items = 1;` : `${type} value = 1;`
+    blocks.unshift(`// 根节点不是对象，包装为单字段 message\nmessage ${rootName} {\n  ${field}\n}`)
+  }
+
+  const code = blocks.join('\n\n')
+  const header = ['syntax = "proto3";']
+  const imports = []
+  if (/google\.protobuf\.(?:String|Int64|Double|Bool)Value\b/.test(code)) imports.push('import "google/protobuf/wrappers.proto";')
+  if (/google\.protobuf\.(?:Value|ListValue)\b/.test(code)) imports.push('import "google/protobuf/struct.proto";')
+  if (imports.length > 0) header.push(imports.join('\n'))
+
+  return [...header, code].join('\n\n')
+}
+
+/**
+ * 生成 GraphQL 类型，非空类型追加 !，混合类型使用自定义标量 JSON
+ */
+function generateGraphQLType(typeInfo, typeNames) {
+  const baseType = getNonNullType(typeInfo)
+  let graphqlType = 'JSON'
+
+  if (baseType) {
+    switch (baseType.kind) {
+      case 'string':
+        graphqlType = 'String'
+        break
+      case 'number':
+        graphqlType = baseType.integer ? 'Int' : 'Float'
+        break
+      case 'boolean':
+        graphqlType = 'Boolean'
+        break
+      case 'array':
+        graphqlType = `[${baseType.item ? generateGraphQLType(baseType.item, typeNames) : 'JSON'}]`
+        break
+      case 'object':
+        graphqlType = typeNames.get(baseType)
+        break
+    }
+  }
+
+  return isNullableType(typeInfo) ? graphqlType : `${graphqlType}!`
+}
+
+/**
+ * 生成单个 GraphQL type
+ * 键名不是合法 GraphQL 名称时转为 camelCase，并在行尾注释原键名
+ */
+function formatGraphQLType(name, typeInfo, typeNames) {
+  // GraphQL 不允许空的字段列表
+  if (typeInfo.fields.size === 0) return `type ${name} {\n  _empty: Boolean\n}`
+
+  const usedNames = new Set()
+  const lines = []
+
+  for (const [key, field] of typeInfo.fields) {
+    const fieldName = getUniqueName(/^[_A-Za-z][_0-9A-Za-z]*$/.test(key) ? key : toCamelCase(key), usedNames)
+
+    let fieldType = generateGraphQLType(field.type, typeNames)
+    if (isOptionalField(typeInfo, field)) fieldType = fieldType.replace(/!$/, '')
+
+    const comment = fieldName !== key ? ` # ${JSON.stringify(key)}` : ''
+    lines.push(`  ${fieldName}: ${fieldType}${comment}`)
+  }
+
+  return `type ${name} {\n${lines.join('\n')}\n}`
+}
+
+/**
+ * GraphQL SDL 转纯文本
+ * SDL 没有类型别名，根节点不是对象时以注释说明根类型
+ */
+function graphqlToText(data, options = {}) {
+  const rootName = getRootTypeName(options, 'Response')
+  const typeInfo = inferType(data, options)
+  const { declarations, typeNames } = collectNamedTypes(typeInfo, rootName, { dynamicUnions: true })
+  const blocks = declarations.map(item => formatGraphQLType(item.name, item.typeInfo, typeNames))
+
+  if (typeInfo.kind !== 'object') {
+    blocks.unshift(`# ${rootName}: ${generateGraphQLType(typeInfo, typeNames)}`)
+  }
+  if (blocks.some(block => /:\s*\[*JSON\b/.test(block))) blocks.unshift('scalar JSON')
+
+  return blocks.join('\n\n')
+}
+
+// ==================== 核心功能：JSON Schema 生成 ====================
+
+const JSON_SCHEMA_DRAFT = 'https://json-schema.org/draft/2020-12/schema'
+
+/**
+ * 生成 JSON Schema (draft 2020-12)
+ */
+function generateJsonSchema(typeInfo, options = {}, depth = 0) {
+  const { sortKeys = false, maxDepth = 0 } = options
+
+  // 深度限制：超出部分不做约束
+  if (maxDepth > 0 && depth >= maxDepth) return {}
+
+  switch (typeInfo.kind) {
+    case 'string':
+    case 'number': {
+      // 所有样本都是整数时使用 integer
+      const schema = { type: typeInfo.kind === 'number' && typeInfo.integer ? 'integer' : typeInfo.kind }
+      if (typeInfo.enumValues) schema.enum = typeInfo.enumValues
+      // base64 在 JSON Schema 中用 contentEncoding 表示，其余格式写入 format
+      if (typeInfo.format === 'base64') schema.contentEncoding = 'base64'
+      else if (typeInfo.format) schema.format = typeInfo.format
+      return schema
+    }
+
+    case 'boolean':
+    case 'null':
+      return { type: typeInfo.kind }
+
+    case 'array':
+      return {
+        type: 'array',
+        items: typeInfo.item ? generateJsonSchema(typeInfo.item, options, depth + 1) : {}
+      }
+
+    case 'object': {
+      const keys = getTypeFieldKeys(typeInfo, sortKeys)
+      const properties = {}
+      const required = []
+
+      for (const key of keys) {
+        const field = typeInfo.fields.get(key)
+        properties[key] = generateJsonSchema(field.type, options, depth + 1)
+        if (!isOptionalField(typeInfo, field)) required.push(key)
+      }
+
+      const schema = { type: 'object', properties }
+      if (required.length > 0) schema.required = required
+      return schema
+    }
+
+    case 'union':
+      return unionJsonSchemas(typeInfo.variants.map(variant => generateJsonSchema(variant, options, depth)))
+
+    default:
+      return {}
+  }
+}
+
+/**
+ * 合并多个 Schema
+ * 纯基础类型合并为 type 数组（如 ["string", "null"]），其余情况使用 anyOf
+ */
+function unionJsonSchemas(schemas) {
+  const unique = []
+  const seen = new Set()
+  for (const schema of schemas) {
+    const signature = JSON.stringify(schema)
+    if (seen.has(signature)) continue
+    seen.add(signature)
+    unique.push(schema)
+  }
+
+  if (unique.length === 1) return unique[0]
+
+  const isPlainType = schema => typeof schema.type === 'string' && Object.keys(schema).length === 1
+  if (unique.every(isPlainType)) {
+    return { type: unique.map(schema => schema.type) }
+  }
+
+  return { anyOf: unique }
+}
+
+/**
+ * JSON Schema 转纯文本
+ */
+function jsonSchemaToText(data, options = {}) {
+  const schema = { $schema: JSON_SCHEMA_DRAFT, ...generateJsonSchema(inferType(data, options), options) }
+  return JSON.stringify(schema, null, 2)
+}
+
+// ==================== 核心功能：OpenAPI 片段生成 ====================
+
+const OPENAPI_YAML_HIGHLIGHT_RULES = {
+  keywords: ['true', 'false', 'null'],
+  lineComment: '#'
+}
+
+/**
+ * 从请求 URL 中提取 OpenAPI 路径，无法解析时返回 /
+ */
+function getOpenApiPath(urlStr) {
+  const trimmed = (urlStr || '').trim()
+  if (!trimmed) return '/'
+
+  let path
+  try {
+    path = new URL(trimmed).pathname
+  } catch (e) {
+    // 相对路径或不完整的 URL
+    path = trimmed.split(/[?#]/)[0]
+  }
+  return path.startsWith('/') ? path : `/${path}`
+}
+
+/**
+ * 推断单个查询参数值的类型并转换为示例值
+ */
+function inferQueryParamValue(value) {
+  if (/^-?\d+$/.test(value)) return { type: 'integer', example: Number(value) }
+  if (/^-?\d*\.\d+$/.test(value)) return { type: 'number', example: Number(value) }
+  if (value === 'true' || value === 'false') return { type: 'boolean', example: value === 'true' }
+  return { type: 'string', example: value, format: detectStringFormat(value) }
+}
+
+/**
+ * 由 URL 查询参数生成 OpenAPI parameters
+ * 同名参数合并为数组，类型不一致时退化为 string
+ */
+function generateOpenApiParameters(urlStr) {
+  const grouped = new Map()
+  for (const param of parseUrlParams(urlStr || '')) {
+    if (!grouped.has(param.key)) grouped.set(param.key, [])
+    grouped.get(param.key).push(param.decoded)
+  }
+
+  return Array.from(grouped, ([name, values]) => {
+    const inferred = values.map(inferQueryParamValue)
+    const types = new Set(inferred.map(item => item.type))
+    if (types.size === 2 && types.has('integer') && types.has('number')) types.delete('integer')
+
+    const type = types.size === 1 ? [...types][0] : 'string'
+    const examples = inferred.map((item, index) => type === 'string' ? values[index] : item.example)
+    const formats = new Set(inferred.map(item => item.format))
+    const itemSchema = { type }
+    if (type === 'string' && formats.size === 1 && inferred[0].format) itemSchema.format = inferred[0].format
+    const schema = values.length > 1 ? { type: 'array', items: itemSchema } : itemSchema
+
+    return {
+      name,
+      in: 'query',
+      required: true,
+      schema,
+      example: values.length > 1 ? examples : examples[0]
+    }
+  })
+}
+
+/**
+ * 生成 OpenAPI 3.1 path item 片段
+ * 响应 Schema 复用 generateJsonSchema，放入 components/schemas 并以 $ref 引用
+ */
+function generateOpenApiSnippet(data, options = {}) {
+  const schemaName = getRootTypeName(options, 'Response')
+  const operation = {}
+
+  const parameters = generateOpenApiParameters(options.requestUrl)
+  if (parameters.length > 0) operation.parameters = parameters
+
+  operation.responses = {
+    200: {
+      description: 'OK',
+      content: {
+        'application/json': {
+          schema: { $ref: `#/components/schemas/${schemaName}` },
+          example: options.multiDocument ? data[0] : data
+        }
+      }
+    }
+  }
+
+  return {
+    paths: { [getOpenApiPath(options.requestUrl)]: { get: operation } },
+    components: { schemas: { [schemaName]: generateJsonSchema(inferType(data, options), options) } }
+  }
+}
+
+/**
+ * YAML 标量格式化，可能被误解析的字符串加引号
+ */
+function formatYamlScalar(value) {
+  if (value === null) return 'null'
+  if (typeof value !== 'string') return String(value)
+
+  const isPlain = /^[A-Za-z_/$][\w ./$-]*$/.test(value) &&
+    !/\s$/.test(value) &&
+    !/^(?:true|false|null|yes|no|on|off|~)$/i.test(value)
+  return isPlain ? value : JSON.stringify(value)
+}
+
+/**
+ * 将 JSON 值序列化为 YAML（块样式，两空格缩进）
+ */
+function toYaml(value, indent = 0) {
+  const pad = '  '.repeat(indent)
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return `${pad}[]`
+    return value.map(item => {
+      if (item !== null && typeof item === 'object' && Object.keys(item).length > 0) {
+        // 列表项中的对象：首个键与 "- " 同行
+        return `${pad}- ${toYaml(item, indent + 1).trimStart()}`
+      }
+      return `${pad}- ${toYaml(item, 0)}`
+    }).join('\n')
+  }
+
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.entries(value)
+    if (entries.length === 0) return `${pad}{}`
+    return entries.map(([key, item]) => {
+      const yamlKey = formatYamlScalar(key)
+      if (item !== null && typeof item === 'object' && Object.keys(item).length > 0) {
+        return `${pad}${yamlKey}:\n${toYaml(item, indent + 1)}`
+      }
+      return `${pad}${yamlKey}: ${toYaml(item, 0)}`
+    }).join('\n')
+  }
+
+  return `${pad}${formatYamlScalar(value)}`
+}
+
+/**
+ * OpenAPI 片段转纯文本（YAML / JSON）
+ */
+function openApiToText(data, options = {}) {
+  const snippet = generateOpenApiSnippet(data, options)
+  return options.openapiFormat === 'json' ? JSON.stringify(snippet, null, 2) : toYaml(snippet)
+}
+
+// ==================== 核心功能：Mock 数据生成 ====================
+
+const MOCK_NAMES = ['张伟', '王芳', '李娜', '刘洋', '陈静', '杨磊', '赵敏', '黄强', '周婷', '吴昊']
+const MOCK_USERNAMES = ['zhangwei', 'wangfang', 'lina', 'liuyang', 'chenjing', 'yanglei', 'zhaomin', 'huangqiang']
+const MOCK_CITIES = ['北京', '上海', '广州', '深圳', '杭州', '成都', '南京', '武汉']
+const MOCK_WORDS = ['alpha', 'bravo', 'charlie', 'delta', 'echo', 'foxtrot', 'golf', 'hotel']
+const MOCK_PHRASES = ['这是一段示例文本', '用于前端联调的测试数据', '演示内容，请勿当真', '接口返回的描述信息']
+
+// 时间类字段以 2024-01-01 为基准，保证同一种子生成结果一致
+const MOCK_BASE_TIME = Date.UTC(2024, 0, 1)
+const MOCK_MAX_DEPTH = 10
+
+/**
+ * 将种子字符串哈希为 32 位整数（FNV-1a）
+ */
+function hashMockSeed(seed) {
+  let hash = 0x811c9dc5
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+/**
+ * 创建可复现的伪随机数生成器（mulberry32）
+ */
+function createSeededRandom(seed) {
+  let state = hashMockSeed(seed)
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) | 0
+    let t = Math.imul(state ^ (state >>> 15), 1 | state)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    float: (min, max) => Math.round((min + next() * (max - min)) * 100) / 100,
+    pick: list => list[Math.floor(next() * list.length)]
+  }
+}
+
+/**
+ * 拆分键名为小写单词，用于按语义生成取值
+ */
+function getMockKeyWords(key) {
+  return splitIdentifierWords(key).map(word => word.toLowerCase())
+}
+
+/**
+ * 生成 Mock 时间戳（毫秒）
+ */
+function getMockTime(random) {
+  return MOCK_BASE_TIME + random.int(0, 365 * 86400) * 1000
+}
+
+/**
+ * 按键名生成字符串取值
+ */
+function generateMockString(key, typeInfo, random) {
+  if (typeInfo.enumValues && typeInfo.enumValues.length > 0) return random.pick(typeInfo.enumValues)
+  if (typeInfo.format === 'date-time') return new Date(getMockTime(random)).toISOString()
+  if (typeInfo.format === 'date') return new Date(getMockTime(random)).toISOString().slice(0, 10)
+
+  const words = getMockKeyWords(key)
+  const has = (...names) => names.some(name => words.includes(name))
+  const lastWord = words[words.length - 1] || ''
+  const sample = typeof typeInfo.sample === 'string' ? typeInfo.sample : ''
+
+  if (has('email', 'mail')) return `${random.pick(MOCK_USERNAMES)}${random.int(1, 999)}@example.com`
+  if (has('avatar', 'image', 'img', 'pic', 'picture', 'photo', 'icon', 'cover', 'thumbnail', 'logo')) {
+    return `https://example.com/images/${random.int(1, 9999)}.png`
+  }
+  if (has('url', 'uri', 'link', 'href', 'website', 'homepage')) {
+    return `https://example.com/${random.pick(MOCK_WORDS)}/${random.int(1, 9999)}`
+  }
+  if (has('phone', 'mobile', 'tel')) {
+    return `1${random.pick(['3', '5', '7', '8', '9'])}${String(random.int(0, 999999999)).padStart(9, '0')}`
+  }
+  if (has('time', 'date', 'at', 'created', 'updated', 'birthday', 'expire', 'expired')) {
+    const iso = new Date(getMockTime(random)).toISOString()
+    return /^\d{4}-\d{2}-\d{2}$/.test(sample) || (has('date', 'birthday') && !has('time')) ? iso.slice(0, 10) : iso
+  }
+  if (has('uuid', 'guid') || lastWord === 'id') {
+    if (/^\d+$/.test(sample)) return String(random.int(1, 100000))
+    const hex = () => random.int(0, 0xffff).toString(16).padStart(4, '0')
+    return `${hex()}${hex()}-${hex()}-4${hex().slice(1)}-${hex()}-${hex()}${hex()}${hex()}`
+  }
+  if (has('ip')) return [random.int(1, 223), random.int(0, 255), random.int(0, 255), random.int(1, 254)].join('.')
+  if (has('color', 'colour')) return `#${random.int(0, 0xffffff).toString(16).padStart(6, '0')}`
+  if (has('username', 'nickname', 'login', 'account') || (has('user') && has('name'))) {
+    return `${random.pick(MOCK_USERNAMES)}${random.int(1, 99)}`
+  }
+  if (has('file', 'filename')) return `${random.pick(MOCK_WORDS)}.txt`
+  if (has('name')) return random.pick(MOCK_NAMES)
+  if (has('address')) return `${random.pick(MOCK_CITIES)}市示例路 ${random.int(1, 999)} 号`
+  if (has('city', 'province', 'region')) return random.pick(MOCK_CITIES)
+  if (has('title', 'desc', 'description', 'content', 'remark', 'comment', 'summary', 'text', 'message', 'msg')) {
+    return random.pick(MOCK_PHRASES)
+  }
+  // 状态码、类型等枚举类字段沿用样本值
+  if (sample && has('status', 'state', 'type', 'kind', 'level', 'category', 'code', 'currency', 'lang', 'locale')) {
+    return sample
+  }
+
+  return `${random.pick(MOCK_WORDS)}-${random.int(1, 999)}`
+}
+
+/**
+ * 按键名生成数字取值，integer 为 false 时生成两位小数
+ */
+function generateMockNumber(key, typeInfo, random) {
+  if (typeInfo.enumValues && typeInfo.enumValues.length > 0) return random.pick(typeInfo.enumValues)
+
+  const words = getMockKeyWords(key)
+  const has = (...names) => names.some(name => words.includes(name))
+  const lastWord = words[words.length - 1] || ''
+  const isFloat = typeInfo.integer === false
+
+  if (lastWord === 'id' || has('uid', 'pid')) return random.int(1, 100000)
+  if (has('time', 'timestamp', 'date', 'at', 'created', 'updated', 'expire', 'expired')) {
+    const time = getMockTime(random)
+    // 样本为秒级时间戳时保持一致
+    return typeof typeInfo.sample === 'number' && typeInfo.sample < 1e11 ? Math.floor(time / 1000) : time
+  }
+  if (has('age')) return random.int(18, 60)
+  if (has('lat', 'latitude')) return Math.round((random.next() * 180 - 90) * 1e6) / 1e6
+  if (has('lng', 'lon', 'longitude')) return Math.round((random.next() * 360 - 180) * 1e6) / 1e6
+  if (has('price', 'amount', 'money', 'fee', 'cost', 'balance', 'salary', 'total')) {
+    return isFloat ? random.float(1, 9999) : random.int(1, 99999)
+  }
+  if (has('page')) return random.int(1, 10)
+  if (has('size', 'limit', 'per')) return random.pick([10, 20, 50])
+  if (has('count', 'num', 'qty', 'quantity')) return random.int(0, 1000)
+  if (has('rate', 'ratio', 'percent', 'progress')) return isFloat ? random.float(0, 1) : random.int(0, 100)
+  if (has('rating', 'star', 'stars')) return isFloat ? random.float(1, 5) : random.int(1, 5)
+  if (has('score')) return random.int(0, 100)
+  if (has('status', 'state', 'type', 'kind', 'level', 'code', 'sex', 'gender')) return random.int(0, 3)
+
+  return isFloat ? random.float(0, 1000) : random.int(0, 1000)
+}
+
+/**
+ * 递归生成 Mock 值
+ * 可选字段约 30% 概率缺省，可空类型约 20% 概率为 null；递归类型在第二层终止
+ */
+function generateMockValue(typeInfo, key, context, depth = 0) {
+  const { random, arrayMin, arrayMax, ancestors } = context
+  if (!typeInfo) return null
+
+  switch (typeInfo.kind) {
+    case 'string':
+      return generateMockString(key, typeInfo, random)
+
+    case 'number':
+      return generateMockNumber(key, typeInfo, random)
+
+    case 'boolean':
+      return typeInfo.enumValues && typeInfo.enumValues.length > 0 ? random.pick(typeInfo.enumValues) : random.next() < 0.5
+
+    case 'array': {
+      // 元组按位置逐个生成
+      if (typeInfo.tuple && depth < MOCK_MAX_DEPTH) return typeInfo.tuple.map(item => generateMockValue(item, key, context, depth + 1))
+      if (!typeInfo.item || depth >= MOCK_MAX_DEPTH || ancestors.has(getNonNullType(typeInfo.item))) return []
+      const length = random.int(arrayMin, arrayMax)
+      return Array.from({ length }, () => generateMockValue(typeInfo.item, key, context, depth + 1))
+    }
+
+    case 'object': {
+      const result = {}
+      if (depth >= MOCK_MAX_DEPTH) return result
+
+      ancestors.add(typeInfo)
+      for (const [fieldKey, field] of typeInfo.fields) {
+        if (isOptionalField(typeInfo, field) && random.next() < 0.3) continue
+        result[fieldKey] = generateMockValue(field.type, fieldKey, context, depth + 1)
+      }
+      // 索引签名（Record<string, T>）生成若干个 keyN 条目，取值沿用外层键名的语义
+      if (typeInfo.indexType && !ancestors.has(getNonNullType(typeInfo.indexType))) {
+        const length = random.int(arrayMin, arrayMax)
+        for (let index = 1; index <= length; index++) {
+          if (!(`key${index}` in result)) result[`key${index}`] = generateMockValue(typeInfo.indexType, key, context, depth + 1)
+        }
+      }
+      ancestors.delete(typeInfo)
+      return result
+    }
+
+    case 'union': {
+      const variants = typeInfo.variants.filter(variant => variant.kind !== 'null' && !ancestors.has(variant))
+      if (variants.length === 0 || (isNullableType(typeInfo) && random.next() < 0.2)) return null
+      return generateMockValue(random.pick(variants), key, context, depth)
+    }
+
+    default:
+      return null
+  }
+}
+
+/**
+ * 按推断类型生成 N 条 Mock 数据
+ */
+function generateMockData(typeInfo, options = {}) {
+  const { mockCount = 1, mockArrayMin = 1, mockArrayMax = 3, mockSeed = '' } = options
+  const context = {
+    random: createSeededRandom(mockSeed),
+    arrayMin: Math.min(mockArrayMin, mockArrayMax),
+    arrayMax: Math.max(mockArrayMin, mockArrayMax),
+    ancestors: new Set()
+  }
+
+  return Array.from({ length: Math.max(1, mockCount) }, () => generateMockValue(typeInfo, '', context))
+}
+
+/**
+ * Mock 数据转纯文本，单条时直接输出该文档
+ */
+function mockToText(docs) {
+  return JSON.stringify(docs.length === 1 ? docs[0] : docs, null, 2)
+}
+
+/**
+ * 解析 Mock 输入：优先按 JSON 推断结构（填写了查询时只取查询结果），失败时按 TypeScript 类型声明解析
+ * 返回 { typeInfo, warnings }，warnings 为 TypeScript 中被跳过或近似处理的类型说明
+ */
+function parseMockSource(text, options = {}) {
+  let parsed
+  try {
+    parsed = parseJsonInput(text, options)
+  } catch (jsonError) {
+    try {
+      return parseTypeScriptTypes(text)
+    } catch (tsError) {
+      throw new Error(`输入既不是合法 JSON，也无法按 TypeScript 类型解析：${tsError.message}`)
+    }
+  }
+
+  const { data, documents } = parsed
+  const typeInfo = inferType(applyInputQuery(data, documents, options), { ...options, multiDocument: Boolean(documents) })
+  return { typeInfo, warnings: [] }
+}
+
+// ==================== 核心功能：TypeScript 类型解析 ====================
+
+const TS_TOKEN_PATTERN = /\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/|("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')|(-?\d+(?:\.\d+)?)|([A-Za-z_$][\w$]*)|(=>|[{}[\]()<>:;,|&?=.])/y
+
+const TS_PRIMITIVE_KINDS = {
+  string: 'string',
+  number: 'number',
+  bigint: 'number',
+  boolean: 'boolean',
+  null: 'null',
+  undefined: 'null',
+  void: 'null',
+  never: 'null'
+}
+
+const TS_UTILITY_TYPES = new Set(['Partial', 'Required', 'Readonly', 'NonNullable', 'Record', 'Pick', 'Omit'])
+
+// 无法确定取值的类型（any、typeof 查询、未声明的类型等）按任意字符串生成
+const TS_ANY_TYPE = { kind: 'string', count: 1 }
+
+/**
+ * TypeScript 源码分词，跳过空白与注释
+ */
+function tokenizeTypeScript(source) {
+  const tokens = []
+  TS_TOKEN_PATTERN.lastIndex = 0
+
+  while (TS_TOKEN_PATTERN.lastIndex < source.length) {
+    const index = TS_TOKEN_PATTERN.lastIndex
+    const match = TS_TOKEN_PATTERN.exec(source)
+    if (!match) throw new Error(`无法识别的字符 "${source[index]}"（位置 ${index}）`)
+
+    const [, str, num, word, punct] = match
+    if (str !== undefined) tokens.push({ type: 'string', value: str.slice(1, -1).replace(/\\(.)/g, '$1') })
+    else if (num !== undefined) tokens.push({ type: 'number', value: Number(num) })
+    else if (word !== undefined) tokens.push({ type: 'word', value: word })
+    else if (punct !== undefined) tokens.push({ type: 'punct', value: punct })
+  }
+
+  return tokens
+}
+
+/**
+ * 合并联合类型的各分支，同类字面量合并为取值列表
+ */
+function unionParsedTypes(variants) {
+  const merged = []
+  for (const variant of variants.flatMap(item => item.kind === 'union' ? item.variants : [item])) {
+    const existing = TS_PRIMITIVE_KINDS[variant.kind] && merged.find(item => item.kind === variant.kind)
+    if (!existing) {
+      merged.push({ ...variant })
+    } else if (existing.enumValues && variant.enumValues) {
+      existing.enumValues = [...new Set([...existing.enumValues, ...variant.enumValues])]
+    } else {
+      delete existing.enumValues
+    }
+  }
+  return merged.length === 1 ? merged[0] : { kind: 'union', count: 1, variants: merged }
+}
+
+/**
+ * 创建字面量类型节点
+ */
+function createLiteralType(value) {
+  if (typeof value === 'string') return { kind: 'string', count: 1, sample: value, enumValues: [value] }
+  if (typeof value === 'boolean') return { kind: 'boolean', count: 1, sample: value, enumValues: [value] }
+  return { kind: 'number', count: 1, integer: Number.isInteger(value), sample: value, enumValues: [value] }
+}
+
+/**
+ * 复制泛型声明的类型节点，并把类型参数替换为实参
+ */
+function instantiateParsedType(node, typeArgs) {
+  switch (node.kind) {
+    case 'ref':
+      if (node.path.length === 1 && node.args.length === 0 && typeArgs.has(node.name)) return typeArgs.get(node.name)
+      return { ...node, args: node.args.map(arg => instantiateParsedType(arg, typeArgs)) }
+
+    case 'object': {
+      const fields = Array.from(node.fields, ([key, field]) => [key, { ...field, type: instantiateParsedType(field.type, typeArgs) }])
+      const copy = { ...node, fields: new Map(fields) }
+      if (node.indexType) copy.indexType = instantiateParsedType(node.indexType, typeArgs)
+      return copy
+    }
+
+    case 'array': {
+      const copy = { ...node, item: node.item && instantiateParsedType(node.item, typeArgs) }
+      if (node.tuple) copy.tuple = node.tuple.map(item => instantiateParsedType(item, typeArgs))
+      return copy
+    }
+
+    case 'union':
+      return { ...node, variants: node.variants.map(variant => instantiateParsedType(variant, typeArgs)) }
+
+    case 'intersection':
+      return { ...node, parts: node.parts.map(part => instantiateParsedType(part, typeArgs)) }
+
+    case 'keyof':
+      return { ...node, target: instantiateParsedType(node.target, typeArgs) }
+
+    case 'indexed':
+      return { ...node, target: instantiateParsedType(node.target, typeArgs), key: instantiateParsedType(node.key, typeArgs) }
+
+    default:
+      return { ...node }
+  }
+}
+
+/**
+ * 取字符串 / 数字字面量（及其联合）的取值，用作 Record / Pick / Omit 的键
+ */
+function getParsedLiteralKeys(typeInfo) {
+  const variants = typeInfo.kind === 'union' ? typeInfo.variants : [typeInfo]
+  if (!variants.every(variant => variant.enumValues && variant.kind !== 'boolean')) return null
+  return variants.flatMap(variant => variant.enumValues.map(String))
+}
+
+/**
+ * 展开内置工具类型，参数均已解析
+ */
+function applyTypeScriptUtility(name, args) {
+  const arity = name === 'Record' || name === 'Pick' || name === 'Omit' ? 2 : 1
+  if (args.length !== arity) throw new Error(`${name} 需要 ${arity} 个类型参数`)
+
+  const [target, keyType] = args
+  if (name === 'Readonly') return target
+  if (name === 'NonNullable') return getNonNullType(target) || target
+
+  if (name === 'Record') {
+    // Record<K, V>：键为 string / number 时按索引签名生成
+    const [recordKeyType, valueType] = args
+    const keys = getParsedLiteralKeys(recordKeyType)
+    if (!keys) return { kind: 'object', count: 1, fields: new Map(), indexType: valueType }
+    return { kind: 'object', count: 1, fields: new Map(keys.map(key => [key, { type: valueType, count: 1 }])) }
+  }
+
+  if (target.kind !== 'object') throw new Error(`${name} 的参数必须是对象类型`)
+
+  if (name === 'Pick' || name === 'Omit') {
+    const keys = getParsedLiteralKeys(keyType)
+    if (!keys) throw new Error(`${name} 的键必须是字符串字面量`)
+    const fields = Array.from(target.fields).filter(([key]) => keys.includes(key) === (name === 'Pick'))
+    return { kind: 'object', count: 1, fields: new Map(fields) }
+  }
+
+  // Partial / Required 只改变字段的可选性
+  const count = name === 'Partial' ? 0 : 1
+  const node = { kind: 'object', count: 1, fields: new Map(Array.from(target.fields, ([key, field]) => [key, { ...field, count }])) }
+  if (target.indexType) node.indexType = target.indexType
+  return node
+}
+
+/**
+ * 解析 TypeScript interface / type / enum 声明为推断类型节点，返回 { typeInfo, warnings }
+ * 支持可选字段、索引签名、数组、Array<T>、联合、交叉、字面量、元组、extends、泛型、Date、keyof、T[K] 与常用工具类型，
+ * 根类型为未被其他声明引用的首个类型；无法生成数据的成员不报错，而是跳过或近似处理并记入 warnings：
+ * 函数与方法与 JSON.stringify 一致跳过，Map / Set 按对象与数组生成，映射类型按 Record、条件类型按两个分支的联合生成，
+ * typeof 查询与未声明的类型按 any 生成
+ */
+function parseTypeScriptTypes(source) {
+  const tokens = tokenizeTypeScript(source)
+  const declarations = new Map()
+  const enums = new Map()
+  const referenced = new Set()
+  const warnings = new Set()
+  let pos = 0
+
+  const warn = message => warnings.add(message)
+
+  const peek = (offset = 0) => tokens[pos + offset]
+  const isToken = (value, offset = 0) => peek(offset) !== undefined && peek(offset).value === value && peek(offset).type !== 'string'
+  const describeToken = token => token ? `"${token.value}"` : '文件结尾'
+  const expect = (value) => {
+    if (!isToken(value)) throw new Error(`期望 "${value}"，实际为 ${describeToken(peek())}`)
+    return tokens[pos++]
+  }
+  const expectWord = () => {
+    const token = peek()
+    if (!token || token.type !== 'word') throw new Error(`期望标识符，实际为 ${describeToken(token)}`)
+    pos++
+    return token.value
+  }
+
+  // 从 start 处的开括号找到配对的闭括号，返回其后的位置
+  const findGroupEnd = (open, close, start = pos) => {
+    let depth = 0
+    for (let i = start; i < tokens.length; i++) {
+      if (tokens[i].type !== 'punct') continue
+      if (tokens[i].value === open) depth++
+      else if (tokens[i].value === close && --depth === 0) return i + 1
+    }
+    throw new Error(`缺少 "${close}"`)
+  }
+
+  // 函数类型 <T>(a: T) => R，参数只跳过，返回值仍按类型语法校验
+  const parseFunctionType = () => {
+    if (isToken('<')) pos = findGroupEnd('<', '>')
+    if (!isToken('(')) throw new Error(`期望 "("，实际为 ${describeToken(peek())}`)
+    pos = findGroupEnd('(', ')')
+    expect('=>')
+    parseType()
+    return { kind: 'function' }
+  }
+
+  // 泛型参数声明 <T, U extends X = Y>，约束只做语法校验
+  const parseTypeParams = () => {
+    const params = []
+    if (!isToken('<')) return params
+    pos++
+    while (!isToken('>')) {
+      const name = expectWord()
+      if (isToken('extends')) {
+        pos++
+        parseType()
+      }
+      const fallback = isToken('=') ? (pos++, parseType()) : null
+      params.push({ name, fallback })
+      if (!isToken('>')) expect(',')
+    }
+    expect('>')
+    return params
+  }
+
+  const parseTypeArgs = () => {
+    const args = []
+    expect('<')
+    while (!isToken('>')) {
+      args.push(parseType())
+      if (!isToken('>')) expect(',')
+    }
+    expect('>')
+    return args
+  }
+
+  const parseObjectBody = () => {
+    expect('{')
+    const fields = new Map()
+    let indexType = null
+
+    while (!isToken('}')) {
+      if (pos >= tokens.length) throw new Error('缺少 "}"')
+      if (isToken('readonly') && !isToken(':', 1) && !isToken('?', 1)) pos++
+
+      if (isToken('[') && isToken('in', 2)) {
+        // 映射类型 { [K in Keys]: T } 按 Record<Keys, T> 生成，T 中引用的 K 按 any 处理
+        pos++
+        const keyName = expectWord()
+        pos++
+        const keyType = parseType()
+        if (isToken('as')) {
+          pos++
+          parseType()
+        }
+        expect(']')
+        if (isToken('?')) pos++
+        expect(':')
+        const valueType = instantiateParsedType(parseType(), new Map([[keyName, TS_ANY_TYPE]]))
+        if (isToken(';') || isToken(',')) pos++
+        expect('}')
+        warn('映射类型按 Record 生成')
+        return { kind: 'ref', name: 'Record', path: ['Record'], args: [keyType, valueType] }
+      }
+
+      if (isToken('[')) {
+        // 索引签名 [key: string]: T
+        pos++
+        expectWord()
+        expect(':')
+        parseType()
+        expect(']')
+        expect(':')
+        indexType = parseType()
+      } else {
+        const token = peek()
+        if (!token || token.type === 'punct') throw new Error(`期望字段名，实际为 ${describeToken(token)}`)
+        pos++
+        const optional = isToken('?') ? (pos++, true) : false
+        if (isToken('(') || isToken('<')) {
+          // 方法签名 name(args): R 按函数类型字段处理，解析完成后跳过
+          if (isToken('<')) pos = findGroupEnd('<', '>')
+          pos = findGroupEnd('(', ')')
+          if (isToken(':')) {
+            pos++
+            parseType()
+          }
+          fields.set(String(token.value), { type: { kind: 'function' }, count: optional ? 0 : 1 })
+        } else {
+          expect(':')
+          fields.set(String(token.value), { type: parseType(), count: optional ? 0 : 1 })
+        }
+      }
+
+      if (isToken(';') || isToken(',')) pos++
+    }
+
+    expect('}')
+    const node = { kind: 'object', count: 1, fields }
+    if (indexType) node.indexType = indexType
+    return node
+  }
+
+  // 元组元素支持具名与可选标记，如 [x: number, label?: string]
+  const parseTuple = () => {
+    expect('[')
+    const items = []
+    while (!isToken(']')) {
+      if (isToken('.')) throw new Error('不支持元组剩余元素 "..."')
+      if (peek()?.type === 'word' && (isToken(':', 1) || (isToken('?', 1) && isToken(':', 2)))) pos += isToken(':', 1) ? 2 : 3
+      items.push(parseType())
+      if (isToken('?')) pos++
+      if (!isToken(']')) expect(',')
+    }
+    expect(']')
+    return { kind: 'array', count: 1, minLength: items.length, maxLength: items.length, item: items.length > 0 ? unionParsedTypes(items) : null, tuple: items }
+  }
+
+  // enum 成员未赋值时接上一个数字成员递增，首个成员为 0
+  const parseEnumBody = (enumName) => {
+    expect('{')
+    const members = new Map()
+    let next = 0
+
+    while (!isToken('}')) {
+      const token = peek()
+      if (!token || (token.type !== 'word' && token.type !== 'string')) throw new Error(`期望枚举成员名，实际为 ${describeToken(token)}`)
+      pos++
+
+      let value = next
+      if (isToken('=')) {
+        pos++
+        const initializer = peek()
+        if (!initializer || (initializer.type !== 'string' && initializer.type !== 'number')) {
+          throw new Error(`枚举成员 "${enumName}.${token.value}" 只支持字符串或数字初始值`)
+        }
+        pos++
+        value = initializer.value
+      } else if (next === null) {
+        throw new Error(`枚举成员 "${enumName}.${token.value}" 缺少初始值`)
+      }
+
+      members.set(token.value, createLiteralType(value))
+      next = typeof value === 'number' ? value + 1 : null
+      if (!isToken('}')) expect(',')
+    }
+
+    expect('}')
+    if (members.size === 0) throw new Error(`枚举 "${enumName}" 没有成员`)
+    return members
+  }
+
+  const parsePrimary = () => {
+    const token = peek()
+    if (!token) throw new Error('类型不完整')
+
+    if (token.type === 'string' || token.type === 'number') {
+      pos++
+      return createLiteralType(token.value)
+    }
+    if (isToken('(')) {
+      // 配对的括号后紧跟 => 时为函数类型，否则为分组
+      const end = findGroupEnd('(', ')')
+      if (tokens[end] && tokens[end].value === '=>' && tokens[end].type === 'punct') return parseFunctionType()
+      pos++
+      const inner = parseType()
+      expect(')')
+      return inner
+    }
+    if (isToken('<')) return parseFunctionType()
+    if (isToken('{')) return parseObjectBody()
+    if (isToken('[')) return parseTuple()
+
+    const name = expectWord()
+    if (name === 'readonly') return parsePrimary()
+    if (name === 'new') return parseFunctionType()
+    if (name === 'keyof') return { kind: 'keyof', target: parsePostfix() }
+    if (name === 'typeof') {
+      const path = [expectWord()]
+      while (isToken('.')) {
+        pos++
+        path.push(expectWord())
+      }
+      warn(`typeof ${path.join('.')} 按 any 生成`)
+      return { ...TS_ANY_TYPE }
+    }
+    if (name === 'unique' || name === 'infer') {
+      // unique symbol 无法用 JSON 表示；infer 只出现在条件类型中，由条件类型统一提示
+      const operand = expectWord()
+      if (name === 'unique') warn(`unique ${operand} 按 any 生成`)
+      return { ...TS_ANY_TYPE }
+    }
+    if (TS_PRIMITIVE_KINDS[name]) return { kind: TS_PRIMITIVE_KINDS[name], count: 1 }
+    if (name === 'true' || name === 'false') return createLiteralType(name === 'true')
+    if (name === 'any' || name === 'unknown') return { kind: 'string', count: 1 }
+    if (name === 'object') return { kind: 'object', count: 1, fields: new Map() }
+    if (name === 'Date') return { kind: 'string', count: 1, format: 'date-time' }
+    if (name === 'Array' || name === 'ReadonlyArray') {
+      const [item, ...rest] = parseTypeArgs()
+      if (!item || rest.length > 0) throw new Error(`${name} 需要 1 个类型参数`)
+      return { kind: 'array', count: 1, minLength: 0, maxLength: 0, item }
+    }
+
+    // 命名引用，支持 A.B 形式（命名空间成员或枚举成员）
+    const path = [name]
+    while (isToken('.')) {
+      pos++
+      path.push(expectWord())
+    }
+    const args = isToken('<') ? parseTypeArgs() : []
+    referenced.add(path[0]).add(path[path.length - 1])
+    return { kind: 'ref', name: path[path.length - 1], path, args }
+  }
+
+  // 数组后缀 T[] 与索引访问 T['key']
+  const parsePostfix = () => {
+    let type = parsePrimary()
+    while (isToken('[')) {
+      if (isToken(']', 1)) {
+        pos += 2
+        type = { kind: 'array', count: 1, minLength: 0, maxLength: 0, item: type }
+      } else {
+        pos++
+        const key = parseType()
+        expect(']')
+        type = { kind: 'indexed', target: type, key }
+      }
+    }
+    return type
+  }
+
+  const parseIntersection = () => {
+    const parts = [parsePostfix()]
+    while (isToken('&')) {
+      pos++
+      parts.push(parsePostfix())
+    }
+    return parts.length === 1 ? parts[0] : { kind: 'intersection', parts }
+  }
+
+  function parseType() {
+    if (isToken('|')) pos++
+    const variants = [parseIntersection()]
+    while (isToken('|')) {
+      pos++
+      variants.push(parseIntersection())
+    }
+    if (isToken('extends')) {
+      // 条件类型 T extends U ? X : Y 无法在生成时求值，两个分支都可能出现
+      pos++
+      parseType()
+      expect('?')
+      const whenTrue = parseType()
+      expect(':')
+      const whenFalse = parseType()
+      warn('条件类型按两个分支的联合生成')
+      return unionParsedTypes([whenTrue, whenFalse])
+    }
+    return variants.length === 1 ? variants[0] : unionParsedTypes(variants)
+  }
+
+  while (pos < tokens.length) {
+    while (isToken('export') || isToken('declare') || isToken('default')) pos++
+
+    if (isToken('interface')) {
+      pos++
+      const name = expectWord()
+      const params = parseTypeParams()
+      const parents = []
+      if (isToken('extends')) {
+        pos++
+        do {
+          if (isToken(',')) pos++
+          parents.push(parsePrimary())
+        } while (isToken(','))
+      }
+      const body = parseObjectBody()
+      declarations.set(name, { type: parents.length > 0 ? { kind: 'intersection', parts: [...parents, body] } : body, params })
+    } else if (isToken('type') && peek(1) && peek(1).type === 'word') {
+      pos++
+      const name = expectWord()
+      const params = parseTypeParams()
+      expect('=')
+      declarations.set(name, { type: parseType(), params })
+    } else if (isToken('enum') || (isToken('const') && isToken('enum', 1))) {
+      pos += isToken('const') ? 2 : 1
+      const name = expectWord()
+      const members = parseEnumBody(name)
+      enums.set(name, members)
+      declarations.set(name, { type: unionParsedTypes(Array.from(members.values())), params: [] })
+    } else if (declarations.size === 0 && pos === 0) {
+      // 未声明名称的类型字面量，如 { id: number }[]
+      declarations.set('', { type: parseType(), params: [] })
+    } else {
+      throw new Error(`无法解析 "${peek().value}"，仅支持 interface、type 与 enum 声明`)
+    }
+
+    if (isToken(';')) pos++
+  }
+
+  if (declarations.size === 0) throw new Error('未找到类型声明')
+
+  // 解析引用与交叉类型，对象节点原地更新以支持递归类型
+  const resolved = new Set()
+  // 泛型实例按「类型名 + 实参节点」缓存，递归泛型复用同一实例
+  const instances = new Map()
+  const nodeIds = new Map()
+  const getNodeId = node => {
+    if (!nodeIds.has(node)) nodeIds.set(node, nodeIds.size)
+    return nodeIds.get(node)
+  }
+
+  const resolveRef = (node, chain) => {
+    const { name, path, args } = node
+
+    // 枚举成员引用，如 Status.Active
+    if (path.length === 2 && enums.has(path[0])) {
+      const member = enums.get(path[0]).get(path[1])
+      if (!member) throw new Error(`枚举 "${path[0]}" 没有成员 "${path[1]}"`)
+      return { ...member }
+    }
+
+    const declaration = declarations.get(name)
+    if (!declaration) {
+      if (TS_UTILITY_TYPES.has(name)) return applyTypeScriptUtility(name, args.map(arg => resolve(arg, chain)))
+
+      // Map / Set 在 JSON 中没有对应结构，分别按对象与数组生成
+      if ((name === 'Map' || name === 'ReadonlyMap') && args.length === 2) {
+        warn(`${name} 按普通对象生成`)
+        return applyTypeScriptUtility('Record', args.map(arg => resolveValue(arg, chain)))
+      }
+      if ((name === 'Set' || name === 'ReadonlySet') && args.length === 1) {
+        warn(`${name} 按数组生成`)
+        return { kind: 'array', count: 1, minLength: 0, maxLength: 0, item: resolveValue(args[0], chain) }
+      }
+
+      warn(`未找到类型 "${name}" 的声明，按 any 生成`)
+      return { ...TS_ANY_TYPE }
+    }
+
+    if (declaration.params.length === 0) {
+      if (args.length > 0) throw new Error(`类型 "${name}" 不是泛型`)
+      if (chain.has(name)) throw new Error(`类型 "${name}" 循环引用自身`)
+      return resolve(declaration.type, new Set(chain).add(name))
+    }
+
+    // 缺省的类型实参取默认值，没有默认值时按 any 处理
+    const typeArgs = declaration.params.map((param, index) => {
+      if (args[index]) return resolve(args[index], chain)
+      return param.fallback ? resolve(param.fallback, chain) : { kind: 'string', count: 1 }
+    })
+    const key = `${name}<${typeArgs.map(getNodeId).join(',')}>`
+    if (instances.has(key)) return instances.get(key)
+    if (chain.has(key)) throw new Error(`类型 "${name}" 循环引用自身`)
+
+    const instance = instantiateParsedType(declaration.type, new Map(declaration.params.map((param, index) => [param.name, typeArgs[index]])))
+    instances.set(key, instance)
+    const result = resolve(instance, new Set(chain).add(key))
+    instances.set(key, result)
+    return result
+  }
+
+  // keyof T 取对象字段名的字面量联合，没有具名字段时为 string
+  const resolveKeyof = (node, chain) => {
+    const target = resolve(node.target, chain)
+    const keys = target.kind === 'object' ? Array.from(target.fields.keys()) : []
+    return keys.length > 0 ? unionParsedTypes(keys.map(createLiteralType)) : { kind: 'string', count: 1 }
+  }
+
+  // T['a' | 'b'] 取对应字段类型的联合，数组按 T[number] 取元素类型，其余情况按 any 生成
+  const resolveIndexed = (node, chain) => {
+    const target = resolve(node.target, chain)
+    const key = resolve(node.key, chain)
+    if (target.kind === 'array' && key.kind === 'number' && target.item) return resolve(target.item, chain)
+
+    const keys = getParsedLiteralKeys(key)
+    const fields = target.kind === 'object' && keys ? keys.map(name => target.fields.get(name)) : []
+    if (fields.length === 0 || fields.some(field => !field)) {
+      warn('无法确定的索引访问类型按 any 生成')
+      return { ...TS_ANY_TYPE }
+    }
+    return unionParsedTypes(fields.map(field => resolve(field.type, chain)))
+  }
+
+  // 数组元素、索引签名等位置的函数与 JSON.stringify 一致转为 null
+  const resolveValue = (node, chain) => {
+    const type = resolve(node, chain)
+    return type.kind === 'function' ? { kind: 'null', count: 1 } : type
+  }
+
+  const resolve = (node, chain = new Set()) => {
+    if (node.kind === 'ref') return resolveRef(node, chain)
+    if (node.kind === 'keyof') return resolveKeyof(node, chain)
+    if (node.kind === 'indexed') return resolveIndexed(node, chain)
+    if (resolved.has(node)) return node
+    resolved.add(node)
+
+    if (node.kind === 'intersection') {
+      const fields = new Map()
+      for (const part of node.parts.map(item => resolve(item, chain))) {
+        if (part.kind === 'object') part.fields.forEach((field, key) => fields.set(key, field))
+      }
+      delete node.parts
+      return Object.assign(node, { kind: 'object', count: 1, fields })
+    }
+    if (node.kind === 'array') {
+      if (node.item) node.item = resolveValue(node.item)
+      if (node.tuple) node.tuple = node.tuple.map(item => resolveValue(item))
+    }
+    if (node.kind === 'object') {
+      node.fields.forEach((field, key) => {
+        field.type = resolve(field.type)
+        // 函数字段无法序列化为 JSON，与 JSON.stringify 一致跳过
+        if (field.type.kind === 'function') {
+          node.fields.delete(key)
+          warn(`跳过函数类型字段 "${key}"`)
+        }
+      })
+      if (node.indexType) node.indexType = resolveValue(node.indexType)
+    }
+    if (node.kind === 'union') {
+      const variants = node.variants.map(variant => resolve(variant)).filter(variant => variant.kind !== 'function')
+      if (variants.length === 0) {
+        delete node.variants
+        return Object.assign(node, { kind: 'null', count: 1 })
+      }
+      node.variants = variants
+    }
+    return node
+  }
+
+  const names = Array.from(declarations.keys())
+  const rootName = names.find(name => !referenced.has(name)) ?? names[0]
+  const typeInfo = resolveValue({ kind: 'ref', name: rootName, path: [rootName], args: [] })
+  return { typeInfo, warnings: Array.from(warnings) }
+}
+
+// ==================== 核心功能：结构对比 ====================
+
+const COMPARE_CHANGE_LABELS = { type: '类型', value: '取值', length: '长度', move: '顺序' }
+const COMPARE_IDENTITY_KEYS = ['id', '_id', 'uuid', 'key', 'code', 'slug', 'name']
+const COMPARE_REPORT_COLORS = ['--bg-primary', '--bg-secondary', '--text-primary', '--text-secondary', '--border',
+  '--diff-add', '--diff-remove', '--diff-change', '--diff-add-bg', '--diff-remove-bg', '--diff-change-bg',
+  '--diff-add-border', '--diff-remove-border', '--diff-change-border']
+
+/**
+ * 按对比选项去除忽略字段后对比两个 JSON，结果附带命中的忽略路径与去除后的两侧文档（供并排视图与导出）
+ */
+function compareDocuments(a, b, options) {
+  const ignored = new Set()
+  const left = removeIgnoredFields(a, options.ignoreRules, '', ignored)
+  const right = removeIgnoredFields(b, options.ignoreRules, '', ignored)
+  const result = compareStructures(left, right, '', options)
+  result.ignored = [...ignored]
+  result.documents = [left, right]
+  return result
+}
+
+/**
+ * 对比两个 JSON 的差异
+ * 结构模式（默认）只比较字段与类型；options.mode 为 'value' 时还比较标量取值、数组长度与元素顺序
+ */
+function compareStructures(a, b, path = '', options = {}) {
+  const result = { same: [], added: [], removed: [], changed: [] }
+  const valueMode = options.mode === 'value'
+
+  const typeA = getType(a)
+  const typeB = getType(b)
+
+  // 类型不同
+  if (typeA !== typeB) {
+    result.changed.push({ path: path || 'root', kind: 'type', typeA, typeB, valueA: a, valueB: b })
+    return result
+  }
+
+  // 都是对象
+  if (typeA === 'object') {
+    const keysA = Object.keys(a || {})
+    const keysB = Object.keys(b || {})
+    const allKeys = [...new Set([...keysA, ...keysB])]
+
+    for (const key of allKeys) {
+      const newPath = path ? `${path}.${key}` : key
+      
+      if (options.nullAsMissing && ((!(key in a) && b[key] === null) || (!(key in b) && a[key] === null))) {
+        continue
+      } else if (!(key in a)) {
+        result.added.push({ path: newPath, type: getType(b[key]), value: b[key], side: 'B' })
+      } else if (!(key in b)) {
+        result.removed.push({ path: newPath, type: getType(a[key]), value: a[key], side: 'A' })
+      } else {
+        mergeCompareResult(result, compareStructures(a[key], b[key], newPath, options))
+      }
+    }
+
+    if (result.added.length === 0 && result.removed.length === 0 && result.changed.length === 0 && keysA.length > 0) {
+      result.same.push({ path: path || 'root', type: 'object' })
+    }
+  }
+  // 都是数组 - 有主键时按主键配对元素，取值模式逐个元素对比，否则合并所有元素 key union 后对比
+  else if (typeA === 'array') {
+    const identityKey = getArrayIdentityKey(a, b, path || 'root', options)
+    if (identityKey) {
+      mergeCompareResult(result, compareKeyedArrays(a, b, path || 'root', identityKey, options))
+    } else if (valueMode) {
+      mergeCompareResult(result, compareArrayValues(a, b, path || 'root', options))
+    } else if (a.length > 0 && b.length > 0) {
+      // 将数组中所有对象元素的 key 合并，避免仅取 [0] 漏检异构数组
+      const mergeItems = arr => {
+        const objItems = arr.filter(x => x && typeof x === 'object' && !Array.isArray(x))
+        if (objItems.length === 0) return arr[0]
+        return Object.assign({}, ...objItems)
+      }
+      mergeCompareResult(result, compareStructures(mergeItems(a), mergeItems(b), path ? `${path}[]` : 'root[]', options))
+    }
+    if (result.added.length === 0 && result.removed.length === 0 && result.changed.length === 0) {
+      result.same.push({ path: path || 'root', type: 'array' })
+    }
+  }
+  // 取值模式 - 基础类型取值不同（数值在容差范围内视为相同）
+  else if (valueMode && a !== b && !(typeA === 'number' && Math.abs(a - b) <= (options.tolerance || 0))) {
+    result.changed.push({ path: path || 'root', kind: 'value', typeA, typeB, valueA: a, valueB: b })
+  }
+  // 基础类型相同
+  else {
+    result.same.push({ path: path || 'root', type: typeA })
+  }
+
+  return result
+}
+
+/**
+ * 合并子路径的对比结果
+ */
+function mergeCompareResult(result, sub) {
+  result.same.push(...sub.same)
+  result.added.push(...sub.added)
+  result.removed.push(...sub.removed)
+  result.changed.push(...sub.changed)
+}
+
+/**
+ * 逐元素对比数组取值
+ * 先按内容配对完全相同的元素（可能换了位置），位置相对顺序变化的记为移动；
+ * 剩余元素按先后顺序两两配对递归对比，多出的记为新增或删除
+ */
+function compareArrayValues(a, b, path, options) {
+  const result = { same: [], added: [], removed: [], changed: [] }
+  if (a.length !== b.length) {
+    result.changed.push({ path, kind: 'length', typeA: 'array', typeB: 'array', valueA: a.length, valueB: b.length })
+  }
+
+  const { exactPairs, unmatchedA, unmatchedB } = matchArrayItemsByContent(a, b)
+  if (!options.ignoreOrder) findMovedPairs(exactPairs).forEach(([indexA, indexB]) => {
+    result.changed.push({ path: joinComparePath(path, indexA, true), kind: 'move', typeA: getType(a[indexA]), typeB: getType(b[indexB]), valueA: indexA, valueB: indexB })
+  })
+
+  const pairCount = Math.min(unmatchedA.length, unmatchedB.length)
+  for (let i = 0; i < pairCount; i++) {
+    mergeCompareResult(result, compareStructures(a[unmatchedA[i]], b[unmatchedB[i]], joinComparePath(path, unmatchedA[i], true), options))
+  }
+  unmatchedA.slice(pairCount).forEach(index => {
+    result.removed.push({ path: joinComparePath(path, index, true), type: getType(a[index]), value: a[index], side: 'A' })
+  })
+  unmatchedB.slice(pairCount).forEach(index => {
+    result.added.push({ path: joinComparePath(path, index, true), type: getType(b[index]), value: b[index], side: 'B' })
+  })
+
+  return result
+}
+
+/**
+ * 按内容配对数组元素：内容完全相同的元素按先后依次配对（pairs 按 A 下标排列），其余为两侧未配对的下标
+ */
+function matchArrayItemsByContent(a, b) {
+  // 按规范化内容分组 B 的下标，A 中元素依次取用
+  const indexesByContent = new Map()
+  b.forEach((item, index) => {
+    const content = stableStringify(item)
+    if (!indexesByContent.has(content)) indexesByContent.set(content, [])
+    indexesByContent.get(content).push(index)
+  })
+
+  const matchedB = new Set()
+  const exactPairs = []
+  const unmatchedA = []
+  a.forEach((item, index) => {
+    const candidates = indexesByContent.get(stableStringify(item))
+    if (candidates && candidates.length > 0) {
+      const indexB = candidates.shift()
+      matchedB.add(indexB)
+      exactPairs.push([index, indexB])
+    } else {
+      unmatchedA.push(index)
+    }
+  })
+  const unmatchedB = b.map((_, index) => index).filter(index => !matchedB.has(index))
+  return { exactPairs, unmatchedA, unmatchedB }
+}
+
+/**
+ * 按主键配对数组元素：主键相同的元素递归对比，只在一侧出现的记为新增或删除，
+ * 取值模式下还报告长度变化与元素相对顺序变化；路径形如 data.list[id=42].status
+ */
+function compareKeyedArrays(a, b, path, key, options) {
+  const result = { same: [], added: [], removed: [], changed: [] }
+  const valueMode = options.mode === 'value'
+  if (valueMode && a.length !== b.length) {
+    result.changed.push({ path, kind: 'length', typeA: 'array', typeB: 'array', valueA: a.length, valueB: b.length })
+  }
+
+  const itemPath = item => `${path}[${key}=${formatIdentityValue(item[key])}]`
+  const indexesB = new Map(b.map((item, index) => [item[key], index]))
+  const matchedB = new Set()
+  const pairs = []
+
+  a.forEach((item, index) => {
+    const indexB = indexesB.get(item[key])
+    if (indexB === undefined) {
+      result.removed.push({ path: itemPath(item), type: 'object', value: item, side: 'A' })
+      return
+    }
+    matchedB.add(indexB)
+    pairs.push([index, indexB])
+    mergeCompareResult(result, compareStructures(item, b[indexB], itemPath(item), options))
+  })
+  b.forEach((item, index) => {
+    if (!matchedB.has(index)) result.added.push({ path: itemPath(item), type: 'object', value: item, side: 'B' })
+  })
+
+  if (valueMode && !options.ignoreOrder) {
+    findMovedPairs(pairs).forEach(([indexA, indexB]) => {
+      result.changed.push({ path: itemPath(a[indexA]), kind: 'move', typeA: 'object', typeB: 'object', valueA: indexA, valueB: indexB })
+    })
+  }
+
+  return result
+}
+
+/**
+ * 主键取值在路径中的写法：数字与简单字符串原样输出，其余加引号
+ */
+function formatIdentityValue(value) {
+  return typeof value === 'string' && !/^[\w.-]+$/.test(value) ? JSON.stringify(value) : String(value)
+}
+
+/**
+ * 路径中的数组下标与主键写法统一为 []，如 data.list[id=42].items[0] → data.list[].items[]
+ */
+function normalizeArrayIndexes(path) {
+  return path.replace(/\[(?:"(?:\\.|[^"\\])*"|[^\]])*\]/g, '[]')
+}
+
+/**
+ * 数组路径规范化：元素下标与主键写法统一为 []，根数组为 root
+ * 如 data.list[id=42].items → data.list[].items
+ */
+function normalizeArrayPath(path) {
+  const normalized = normalizeArrayIndexes(path.trim().replace(/^\$\.?/, ''))
+    .replace(/\[\]$/, '')
+  return !normalized || normalized.startsWith('[') ? `root${normalized}` : normalized
+}
+
+/**
+ * 解析数组主键配置，每条形如 data.list[] -> id，以换行、逗号或分号分隔
+ */
+function parseArrayKeyRules(text) {
+  const rules = new Map()
+  for (const rule of (text || '').split(/[\n,;]/)) {
+    const match = rule.match(/^\s*(.*?)\s*(?:->|=>|:)\s*([^\s]+)\s*$/)
+    if (match) rules.set(normalizeArrayPath(match[1]), match[2])
+  }
+  return rules
+}
+
+/**
+ * 汇总对比选项：对比方式、数组主键、忽略规则与规范化开关
+ */
+function getCompareOptions(options) {
+  return {
+    mode: options.compareMode,
+    autoKey: options.compareAutoKey,
+    arrayKeys: parseArrayKeyRules(options.compareArrayKeys),
+    ignoreRules: parseCompareIgnoreRules(options.compareIgnoreRules),
+    ignoreOrder: options.compareIgnoreOrder,
+    nullAsMissing: options.compareNullAsMissing,
+    tolerance: options.compareTolerance
+  }
+}
+
+/**
+ * 解析对比忽略规则，以空白、逗号或分号分隔
+ * /正则/标志 匹配字段名；其余为路径通配：* 匹配一级字段，** 匹配任意层级，如 **.traceId、data.*.updatedAt
+ */
+function parseCompareIgnoreRules(text) {
+  const rules = []
+  for (const match of (text || '').matchAll(/\/((?:\\.|[^\\/])+)\/([a-z]*)|[^\s,;]+/g)) {
+    if (match[1] === undefined) {
+      rules.push({ source: match[0], pattern: compileIgnoreGlob(match[0]), matchKey: false })
+      continue
+    }
+    try {
+      rules.push({ source: match[0], pattern: new RegExp(match[1], match[2]), matchKey: true })
+    } catch (e) {
+      throw new Error(`忽略规则 ${match[0]} 不是有效的正则表达式`)
+    }
+  }
+  return rules
+}
+
+/**
+ * 路径通配转为正则；** 可匹配零到多级，数组元素写作 [] 或具体下标
+ */
+function compileIgnoreGlob(glob) {
+  let source = ''
+  for (let i = 0; i < glob.length; i++) {
+    if (glob.startsWith('**.', i)) {
+      source += '(?:.*\\.)?'
+      i += 2
+    } else if (glob.startsWith('**', i)) {
+      source += '.*'
+      i += 1
+    } else if (glob[i] === '*') {
+      source += '[^.]*'
+    } else {
+      source += glob[i].replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    }
+  }
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * 字段是否命中忽略规则；路径同时按原样与数组下标统一为 [] 的写法匹配
+ */
+function isIgnoredField(path, key, rules) {
+  const arrayPath = normalizeArrayIndexes(path)
+  return rules.some(rule => rule.matchKey
+    ? rule.pattern.test(key)
+    : rule.pattern.test(path) || rule.pattern.test(arrayPath))
+}
+
+/**
+ * 去掉命中忽略规则的字段，返回副本；被忽略的路径（数组下标统一为 []）记入 ignored
+ * 路径写法与 compareStructures 一致，根数组元素为 root[0]
+ */
+function removeIgnoredFields(value, rules, path, ignored) {
+  if (rules.length === 0 || !value || typeof value !== 'object') return value
+  if (Array.isArray(value)) {
+    return value.map((item, index) => removeIgnoredFields(item, rules, joinComparePath(path || 'root', index, true), ignored))
+  }
+
+  const kept = {}
+  for (const key of Object.keys(value)) {
+    const fieldPath = joinComparePath(path, key)
+    if (isIgnoredField(fieldPath, key, rules)) {
+      ignored.add(fieldPath.replace(/\[\d+\]/g, '[]'))
+    } else {
+      kept[key] = removeIgnoredFields(value[key], rules, fieldPath, ignored)
+    }
+  }
+  return kept
+}
+
+/**
+ * 确定数组元素的主键：优先使用配置，其次在开启自动识别时按常见字段名推断
+ * 主键需在两侧所有元素中都存在、为字符串或数字且各自唯一；
+ * 结构模式下两侧可能是不同记录的样本，自动识别的主键还需至少有一个取值在两侧同时出现，否则仍合并元素对比
+ */
+function getArrayIdentityKey(a, b, path, options) {
+  const items = [...a, ...b]
+  if (items.length === 0 || !items.every(item => item && typeof item === 'object' && !Array.isArray(item))) return null
+
+  const isIdentity = (key) => [a, b].every(list => {
+    const seen = new Set()
+    return list.every(item => {
+      const value = item[key]
+      if ((typeof value !== 'string' && typeof value !== 'number') || seen.has(value)) return false
+      seen.add(value)
+      return true
+    })
+  })
+
+  const configured = options.arrayKeys && options.arrayKeys.get(normalizeArrayPath(path))
+  if (configured) return isIdentity(configured) ? configured : null
+  if (!options.autoKey) return null
+
+  const sharesValue = (key) => {
+    const valuesA = new Set(a.map(item => item[key]))
+    return b.some(item => valuesA.has(item[key]))
+  }
+  const candidates = [...COMPARE_IDENTITY_KEYS, ...Object.keys(items[0]).filter(key => /(?:^|_)id$|Id$|ID$/.test(key))]
+  return candidates.find(key => key in items[0] && isIdentity(key) && (options.mode === 'value' || sharesValue(key))) || null
+}
+
+/**
+ * 找出相对顺序发生变化的配对（pairs 为按 A 下标排列的 [A 下标, B 下标]）
+ * 保留 B 下标的最长递增子序列，其余元素中在配对元素间的名次有变化的视为被移动；
+ * 长度相同的子序列优先保留靠前的元素，即把被提前的元素记为移动
+ */
+function findMovedPairs(pairs) {
+  const stable = findStablePairIndexes(pairs)
+  const ranksB = new Map(pairs.map(pair => pair[1]).sort((x, y) => x - y).map((indexB, rank) => [indexB, rank]))
+  return pairs.filter((pair, rankA) => !stable.has(rankA) && ranksB.get(pair[1]) !== rankA)
+}
+
+/**
+ * 保持相对顺序的配对在 pairs 中的下标：B 下标的最长递增子序列，平局时偏向靠前元素
+ */
+function findStablePairIndexes(pairs) {
+  // 倒序求最长递减子序列，等价于平局时偏向靠前元素的最长递增子序列
+  const tails = []
+  const next = new Array(pairs.length).fill(-1)
+  for (let index = pairs.length - 1; index >= 0; index--) {
+    const indexB = pairs[index][1]
+    let low = 0
+    let high = tails.length
+    while (low < high) {
+      const mid = (low + high) >> 1
+      if (pairs[tails[mid]][1] > indexB) low = mid + 1
+      else high = mid
+    }
+    if (low > 0) next[index] = tails[low - 1]
+    tails[low] = index
+  }
+
+  const stable = new Set()
+  for (let index = tails.length > 0 ? tails[tails.length - 1] : -1; index !== -1; index = next[index]) stable.add(index)
+  return stable
+}
+
+/**
+ * 键名排序后的 JSON 文本，用于判断两个值内容是否相同
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`
+  }
+  return JSON.stringify(value)
+}
+
+/**
+ * 格式化对比值
+ */
+function formatCompareValue(value) {
+  if (value === undefined) return 'undefined'
+  if (typeof value === 'string') return value
+
+  try {
+    const jsonValue = JSON.stringify(value)
+    return jsonValue === undefined ? String(value) : jsonValue
+  } catch (e) {
+    return String(value)
+  }
+}
+
+/**
+ * 拼接嵌套字段路径
+ */
+function joinComparePath(path, key, isArrayItem = false) {
+  if (isArrayItem) return `${path}[${key}]`
+  return path ? `${path}.${key}` : key
+}
+
+/**
+ * 展开对象或数组值，便于直接展示字段和值
+ */
+function flattenCompareEntries(path, value) {
+  const valueType = getType(value)
+
+  if (valueType === 'object') {
+    const keys = Object.keys(value || {})
+    if (keys.length === 0) return [{ path, value }]
+
+    return keys.flatMap(key => flattenCompareEntries(joinComparePath(path, key), value[key]))
+  }
+
+  if (valueType === 'array') {
+    if (value.length === 0) return [{ path, value }]
+
+    const isPrimitiveArray = value.every(item => item === null || typeof item !== 'object')
+    if (isPrimitiveArray) return [{ path, value }]
+
+    return value.flatMap((item, index) => flattenCompareEntries(joinComparePath(path, index, true), item))
+  }
+
+  return [{ path, value }]
+}
+
+/**
+ * 展开新增或删除差异项
+ */
+function flattenCompareItems(items) {
+  return items.flatMap(item => flattenCompareEntries(item.path || item.field, item.value))
+}
+
+/**
+ * 变更项两侧的展示文本，长度与顺序变化展示为数量与位置
+ */
+function getChangedCompareValues(item) {
+  if (item.kind === 'length') return [`长度 ${item.valueA}`, `长度 ${item.valueB}`]
+  if (item.kind === 'move') return [`位置 ${item.valueA}`, `位置 ${item.valueB}`]
+  return [formatCompareValue(item.valueA), formatCompareValue(item.valueB)]
+}
+
+/**
+ * 准备对比结果渲染缓存，同时供导出使用
+ */
+function createCompareRenderData(result, options = {}) {
+  return {
+    added: flattenCompareItems(result.added),
+    removed: flattenCompareItems(result.removed),
+    changed: result.changed || [],
+    ignored: result.ignored || [],
+    documents: result.documents || null,
+    options,
+    valueMode: options.mode === 'value'
+  }
+}
+
+// ==================== 核心功能：对比结果导出 ====================
+
+/**
+ * 对比结果逐条展开为导出行：变更、新增、删除依次排列
+ */
+function getCompareExportRows(cache) {
+  return [
+    ...cache.changed.map(item => {
+      const [left, right] = getChangedCompareValues(item)
+      return { variant: 'changed', label: COMPARE_CHANGE_LABELS[item.kind] || COMPARE_CHANGE_LABELS.type, path: item.path, left, right }
+    }),
+    ...cache.added.map(item => ({ variant: 'added', label: '新增', path: item.path, left: '', right: formatCompareValue(item.value) })),
+    ...cache.removed.map(item => ({ variant: 'removed', label: '删除', path: item.path, left: formatCompareValue(item.value), right: '' }))
+  ]
+}
+
+/**
+ * 导出内容的摘要行
+ */
+function getCompareExportSummary(cache) {
+  const ignoredNote = cache.ignored.length > 0 ? `（已忽略 ${cache.ignored.length} 个字段路径）` : ''
+  return `新增 ${cache.added.length} · 删除 ${cache.removed.length} · 变更 ${cache.changed.length}${ignoredNote}`
+}
+
+/**
+ * Markdown 表格单元格转义：竖线、换行与尖括号
+ */
+function escapeMarkdownCell(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/\|/g, '\\|')
+    .replace(/</g, '&lt;')
+    .replace(/\r?\n/g, '<br>')
+}
+
+/**
+ * 对比结果转为 Markdown 表格，便于贴到 PR / Issue 评论
+ */
+function compareToMarkdown(cache) {
+  const rows = getCompareExportRows(cache)
+  const lines = [
+    '### JSON 对比结果',
+    '',
+    `基准：左侧 JSON → 对比：右侧 JSON · ${getCompareExportSummary(cache)}`,
+    ''
+  ]
+  if (rows.length === 0) {
+    lines.push(cache.valueMode ? '两个 JSON 完全一致' : '两个 JSON 结构完全一致')
+    return lines.join('\n')
+  }
+
+  lines.push('| 差异 | 路径 | 左侧 | 右侧 |', '| --- | --- | --- | --- |')
+  for (const row of rows) {
+    const path = row.path.includes('`') ? escapeMarkdownCell(row.path) : `\`${escapeMarkdownCell(row.path)}\``
+    lines.push(`| ${row.label} | ${path} | ${escapeMarkdownCell(row.left)} | ${escapeMarkdownCell(row.right)} |`)
+  }
+  return lines.join('\n')
+}
+
+/**
+ * 对比结果转为独立的 HTML 报告，colors 为 COMPARE_REPORT_COLORS 中各变量的取值（由界面从当前主题读取）
+ */
+function compareToHtmlReport(cache, colors = {}) {
+  const palette = COMPARE_REPORT_COLORS.map(name => `${name}: ${colors[name] || 'inherit'};`).join(' ')
+
+  const allRows = getCompareExportRows(cache)
+  const sections = [['changed', '变更'], ['added', '新增'], ['removed', '删除']].map(([variant, title]) => {
+    const rows = allRows.filter(row => row.variant === variant)
+    if (rows.length === 0) return ''
+    const body = rows.map(row => `
+        <tr>
+          <td>${variant === 'changed' ? `<span class="kind">${escapeHtml(row.label)}</span>` : ''}<code>${escapeHtml(row.path)}</code></td>
+          <td class="old">${escapeHtml(row.left)}</td>
+          <td class="new">${escapeHtml(row.right)}</td>
+        </tr>`).join('')
+    return `
+    <section class="${variant}">
+      <h2>${title}<span class="count">${rows.length}</span></h2>
+      <table>
+        <thead><tr><th>路径</th><th>左侧</th><th>右侧</th></tr></thead>
+        <tbody>${body}
+        </tbody>
+      </table>
+    </section>`
+  }).join('')
+  const empty = `<p class="empty">${cache.valueMode ? '两个 JSON 完全一致' : '两个 JSON 结构完全一致'}</p>`
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8">
+  <title>JSON 对比报告</title>
+  <style>
+    :root { ${palette} }
+    body { margin: 24px; background: var(--bg-primary); color: var(--text-primary); font: 13px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; }
+    h1 { font-size: 18px; margin: 0 0 4px; }
+    .meta { color: var(--text-secondary); margin-bottom: 16px; }
+    section { margin-bottom: 20px; border: 1px solid var(--border); border-radius: 6px; background: var(--bg-secondary); overflow: hidden; }
+    h2 { font-size: 13px; margin: 0; padding: 8px 12px; border-bottom: 1px solid var(--border); }
+    .count { margin-left: 6px; font-weight: 400; }
+    .changed h2 { color: var(--diff-change); background: var(--diff-change-bg); }
+    .added h2 { color: var(--diff-add); background: var(--diff-add-bg); }
+    .removed h2 { color: var(--diff-remove); background: var(--diff-remove-bg); }
+    table { width: 100%; border-collapse: collapse; font-family: Consolas, Monaco, monospace; font-size: 12px; }
+    th, td { padding: 4px 12px; border-bottom: 1px solid var(--border); text-align: left; vertical-align: top; word-break: break-all; }
+    th { color: var(--text-secondary); font-weight: 500; }
+    .kind { display: inline-block; margin-right: 6px; padding: 0 4px; border: 1px solid var(--diff-change-border); border-radius: 3px; background: var(--diff-change-bg); color: var(--diff-change); }
+    .old { color: var(--diff-remove); }
+    .new { color: var(--diff-add); }
+    .empty { color: var(--text-secondary); }
+  </style>
+</head>
+<body>
+  <h1>JSON 对比报告</h1>
+  <div class="meta">${escapeHtml(new Date().toLocaleString())} · 基准：左侧 JSON → 对比：右侧 JSON · ${escapeHtml(getCompareExportSummary(cache))}</div>${sections || empty}
+</body>
+</html>
+`
+}
+
+/**
+ * JSON Pointer 路径片段转义（RFC 6901）
+ */
+function escapeJsonPointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1')
+}
+
+/**
+ * 生成把 a 变为 b 的 JSON Patch 操作（RFC 6902）
+ * 对象按字段增删改；数组按下标逐个对比，多余元素从末尾删除、缺少的元素追加
+ */
+function createJsonPatch(a, b, pointer = '', patch = []) {
+  const typeA = getType(a)
+  if (typeA !== getType(b)) {
+    patch.push({ op: 'replace', path: pointer, value: b })
+  } else if (typeA === 'object') {
+    for (const key of Object.keys(a)) {
+      if (!Object.prototype.hasOwnProperty.call(b, key)) patch.push({ op: 'remove', path: `${pointer}/${escapeJsonPointer(key)}` })
+    }
+    for (const key of Object.keys(b)) {
+      const childPointer = `${pointer}/${escapeJsonPointer(key)}`
+      if (Object.prototype.hasOwnProperty.call(a, key)) createJsonPatch(a[key], b[key], childPointer, patch)
+      else patch.push({ op: 'add', path: childPointer, value: b[key] })
+    }
+  } else if (typeA === 'array') {
+    const common = Math.min(a.length, b.length)
+    for (let i = 0; i < common; i++) createJsonPatch(a[i], b[i], `${pointer}/${i}`, patch)
+    for (let i = a.length - 1; i >= b.length; i--) patch.push({ op: 'remove', path: `${pointer}/${i}` })
+    for (let i = a.length; i < b.length; i++) patch.push({ op: 'add', path: `${pointer}/${i}`, value: b[i] })
+  } else if (a !== b) {
+    patch.push({ op: 'replace', path: pointer, value: b })
+  }
+  return patch
+}
+
+// ==================== 核心功能：并排对齐 ====================
+
+/**
+ * 格式化为带路径的 JSON 文本行，键名排序；路径写法与对比结果一致
+ */
+function formatAlignedLines(value, path, depth, key, comma, lines) {
+  const rowPath = path || 'root'
+  const prefix = `${'  '.repeat(depth)}${key === null ? '' : `${JSON.stringify(key)}: `}`
+  if (!value || typeof value !== 'object') {
+    lines.push({ text: `${prefix}${JSON.stringify(value)}${comma}`, path: rowPath })
+    return lines
+  }
+
+  const isArray = Array.isArray(value)
+  const keys = isArray ? value.map((_, index) => index) : Object.keys(value).sort()
+  const [open, close] = isArray ? ['[', ']'] : ['{', '}']
+  if (keys.length === 0) {
+    lines.push({ text: `${prefix}${open}${close}${comma}`, path: rowPath })
+    return lines
+  }
+
+  lines.push({ text: `${prefix}${open}`, path: rowPath })
+  keys.forEach((childKey, index) => {
+    const childComma = index < keys.length - 1 ? ',' : ''
+    if (isArray) formatAlignedLines(value[childKey], joinComparePath(rowPath, childKey, true), depth + 1, null, childComma, lines)
+    else formatAlignedLines(value[childKey], joinComparePath(path, childKey), depth + 1, childKey, childComma, lines)
+  })
+  lines.push({ text: `${'  '.repeat(depth)}${close}${comma}`, path: rowPath })
+  return lines
+}
+
+/**
+ * 两个值是否视为一致（数值容差与对比选项相同）
+ */
+function isAlignedValueEqual(a, b, options) {
+  if (typeof a === 'number' && typeof b === 'number') return Math.abs(a - b) <= (options.tolerance || 0)
+  return stableStringify(a) === stableStringify(b)
+}
+
+/**
+ * 对象成员按键名排序配对
+ */
+function getAlignedObjectMembers(a, b, path) {
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])].sort().map(key => ({
+    key,
+    path: joinComparePath(path, key),
+    inA: Object.prototype.hasOwnProperty.call(a, key),
+    inB: Object.prototype.hasOwnProperty.call(b, key),
+    valueA: a[key],
+    valueB: b[key]
+  }))
+}
+
+/**
+ * 数组元素配对：有主键时按主键配对，否则与 compareArrayValues 一致，先按内容配对相同元素，剩余元素按先后两两配对；
+ * 两侧各自保持原有顺序，相对顺序不变的配对元素并排对齐，位置变化的元素在两侧原位置各占一段
+ * （主键或内容相同的元素只报告移动时为 move，否则按内容是否一致标记；按先后配对的元素标为变更）
+ */
+function getAlignedArrayMembers(a, b, path, options) {
+  const identityKey = getArrayIdentityKey(a, b, path, options)
+  const pairs = []
+  const exact = new Set()
+  let pathA = index => joinComparePath(path, index, true)
+  let pathB = pathA
+  if (identityKey) {
+    const indexesB = new Map(b.map((item, index) => [item[identityKey], index]))
+    a.forEach((item, indexA) => {
+      const indexB = indexesB.get(item[identityKey])
+      if (indexB !== undefined) pairs.push([indexA, indexB])
+    })
+    pairs.forEach(([indexA]) => exact.add(indexA))
+    pathA = index => `${path}[${identityKey}=${formatIdentityValue(a[index][identityKey])}]`
+    pathB = index => `${path}[${identityKey}=${formatIdentityValue(b[index][identityKey])}]`
+  } else {
+    const { exactPairs, unmatchedA, unmatchedB } = matchArrayItemsByContent(a, b)
+    exactPairs.forEach(([indexA]) => exact.add(indexA))
+    pairs.push(...exactPairs)
+    for (let i = 0; i < Math.min(unmatchedA.length, unmatchedB.length); i++) pairs.push([unmatchedA[i], unmatchedB[i]])
+    pairs.sort((x, y) => x[0] - y[0])
+  }
+
+  const partnersA = new Map(pairs)
+  const partnersB = new Map(pairs.map(([indexA, indexB]) => [indexB, indexA]))
+  const stable = findStablePairIndexes(pairs)
+  const anchors = pairs.filter((_, index) => stable.has(index))
+  const reportsMoves = options.mode === 'value' && !options.ignoreOrder
+  const movedKind = (indexA, indexB) => {
+    if (!exact.has(indexA)) return 'changed'
+    return reportsMoves ? 'move' : (isAlignedValueEqual(a[indexA], b[indexB], options) ? 'same' : 'changed')
+  }
+
+  // 相邻两个对齐元素之间：先列出左侧的删除 / 移出元素，再列出右侧的新增 / 移入元素
+  const members = []
+  let startA = 0
+  let startB = 0
+  for (const [anchorA, anchorB] of [...anchors, [a.length, b.length]]) {
+    for (let indexA = startA; indexA < anchorA; indexA++) {
+      const indexB = partnersA.get(indexA)
+      const kind = indexB === undefined ? null : movedKind(indexA, indexB)
+      members.push({ key: null, path: pathA(indexA), inA: true, inB: false, valueA: a[indexA], kind })
+    }
+    for (let indexB = startB; indexB < anchorB; indexB++) {
+      const indexA = partnersB.get(indexB)
+      const kind = indexA === undefined ? null : movedKind(indexA, indexB)
+      members.push({ key: null, path: pathB(indexB), inA: false, inB: true, valueB: b[indexB], kind })
+    }
+    if (anchorA < a.length) {
+      members.push({ key: null, path: pathA(anchorA), inA: true, inB: true, valueA: a[anchorA], valueB: b[anchorB] })
+    }
+    startA = anchorA + 1
+    startB = anchorB + 1
+  }
+  return members
+}
+
+/**
+ * 按 JSON 结构逐层对齐两个值，生成并排视图的行：
+ * 两侧都有的字段递归对齐，只在一侧出现的整体标为新增或删除（数组中换了位置的元素标为移动），取值不同的标为变更
+ */
+function appendAlignedRows(rows, a, b, path, depth, key, commaA, commaB, options) {
+  const rowPath = path || 'root'
+  const typeA = getType(a)
+  const hasChildren = value => Array.isArray(value) ? value.length > 0 : Object.keys(value).length > 0
+  const nested = typeA === getType(b) && (typeA === 'object' || typeA === 'array') && hasChildren(a) && hasChildren(b)
+
+  if (!nested) {
+    const linesA = formatAlignedLines(a, path, depth, key, commaA, [])
+    const linesB = formatAlignedLines(b, path, depth, key, commaB, [])
+    const kind = isAlignedValueEqual(a, b, options) ? 'same' : 'changed'
+    for (let i = 0; i < Math.max(linesA.length, linesB.length); i++) {
+      rows.push({ kind, path: (linesA[i] || linesB[i]).path, left: linesA[i] ? linesA[i].text : null, right: linesB[i] ? linesB[i].text : null })
+    }
+    return
+  }
+
+  const indent = '  '.repeat(depth)
+  const prefix = `${indent}${key === null ? '' : `${JSON.stringify(key)}: `}`
+  const [open, close] = typeA === 'array' ? ['[', ']'] : ['{', '}']
+  const members = typeA === 'array' ? getAlignedArrayMembers(a, b, rowPath, options) : getAlignedObjectMembers(a, b, path)
+  const lastA = members.map(member => member.inA).lastIndexOf(true)
+  const lastB = members.map(member => member.inB).lastIndexOf(true)
+
+  rows.push({ kind: 'same', path: rowPath, left: `${prefix}${open}`, right: `${prefix}${open}` })
+  members.forEach((member, index) => {
+    const childCommaA = index < lastA ? ',' : ''
+    const childCommaB = index < lastB ? ',' : ''
+    if (member.inA && member.inB) {
+      appendAlignedRows(rows, member.valueA, member.valueB, member.path, depth + 1, member.key, childCommaA, childCommaB, options)
+      return
+    }
+
+    const side = member.inA ? 'left' : 'right'
+    const value = member.inA ? member.valueA : member.valueB
+    const kind = member.kind || (options.nullAsMissing && value === null ? 'same' : (member.inA ? 'removed' : 'added'))
+    for (const line of formatAlignedLines(value, member.path, depth + 1, member.key, member.inA ? childCommaA : childCommaB, [])) {
+      rows.push({ kind, path: line.path, left: null, right: null, [side]: line.text })
+    }
+  })
+  rows.push({ kind: 'same', path: rowPath, left: `${indent}${close}${commaA}`, right: `${indent}${close}${commaB}` })
+}
+
+/**
+ * 生成并排视图数据：对齐行、两侧行号、每处差异的起止行与路径索引
+ */
+function createAlignedView(a, b, options) {
+  const rows = []
+  appendAlignedRows(rows, a, b, '', 0, null, '', '', options)
+
+  const hunks = []
+  const pathIndex = new Map()
+  let lineA = 0
+  let lineB = 0
+  let widthA = 0
+  let widthB = 0
+  rows.forEach((row, index) => {
+    if (row.left !== null) {
+      row.lineA = ++lineA
+      widthA = Math.max(widthA, row.left.length)
+    }
+    if (row.right !== null) {
+      row.lineB = ++lineB
+      widthB = Math.max(widthB, row.right.length)
+    }
+    if (!pathIndex.has(row.path)) pathIndex.set(row.path, index)
+    if (row.kind === 'same') return
+    if (index > 0 && rows[index - 1].kind !== 'same') hunks[hunks.length - 1].end = index
+    else hunks.push({ start: index, end: index })
+  })
+
+  return { rows, hunks, pathIndex, widthA, widthB, focus: null, current: -1 }
+}
+
+// ==================== 语法高亮 ====================
+
+/**
+ * 通用代码语法高亮
+ * 单次扫描，按 token 转义后包裹样式，避免多次正则替换互相干扰
+ * rules: { keywords, types, declarationKeywords, lineComment }
+ */
+function highlightCode(code, rules = {}) {
+  const { keywords = [], types = [], declarationKeywords = [], lineComment = '//' } = rules
+  const keywordSet = new Set(keywords)
+  const typeSet = new Set(types)
+
+  // 预扫描声明的类型名，如 interface Foo / struct Bar
+  const declaredNames = new Set()
+  if (declarationKeywords.length > 0) {
+    const declarationPattern = new RegExp(`\\b(?:${declarationKeywords.join('|')})\\s+([A-Za-z_$][\\w$]*)`, 'g')
+    for (const match of code.matchAll(declarationPattern)) declaredNames.add(match[1])
+  }
+
+  const commentPattern = lineComment.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+  const tokenPattern = new RegExp(
+    `(${commentPattern}[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/)|("(?:\\\\.|[^"\\\\\\n])*"|'(?:\\\\.|[^'\\\\\\n])*'|\`[^\`]*\`)|(@?[A-Za-z_$][\\w$]*)`,
+    'g'
+  )
+
+  let result = ''
+  let lastIndex = 0
+  let match
+
+  while ((match = tokenPattern.exec(code)) !== null) {
+    const [token, comment, str, word] = match
+    result += escapeHtml(code.slice(lastIndex, match.index))
+    lastIndex = match.index + token.length
+
+    if (comment !== undefined) {
+      result += `<span class="ts-comment">${escapeHtml(token)}</span>`
+    } else if (str !== undefined) {
+      result += `<span class="type-string">${escapeHtml(token)}</span>`
+    } else if (word.startsWith('@') || keywordSet.has(word)) {
+      result += `<span class="ts-keyword">${escapeHtml(word)}</span>`
+    } else if (typeSet.has(word)) {
+      result += `<span class="ts-type">${escapeHtml(word)}</span>`
+    } else if (declaredNames.has(word)) {
+      result += `<span class="ts-interface">${escapeHtml(word)}</span>`
+    } else {
+      result += escapeHtml(word)
+    }
+  }
+
+  return result + escapeHtml(code.slice(lastIndex))
+}
+
+/**
+ * JSON 文本语法高亮
+ */
+function highlightJson(text) {
+  const tokenPattern = /("(?:\\.|[^"\\])*")(\s*:)?|\b(true|false)\b|\bnull\b|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/g
+  let result = ''
+  let lastIndex = 0
+  let match
+
+  while ((match = tokenPattern.exec(text)) !== null) {
+    result += escapeHtml(text.slice(lastIndex, match.index))
+    const [token, str, colon, bool] = match
+
+    if (str !== undefined) {
+      result += colon
+        ? `<span class="key">${escapeHtml(str)}</span>${colon}`
+        : `<span class="type-string">${escapeHtml(str)}</span>`
+    } else if (bool !== undefined) {
+      result += `<span class="type-boolean">${token}</span>`
+    } else if (token === 'null') {
+      result += `<span class="type-null">${token}</span>`
+    } else {
+      result += `<span class="type-number">${token}</span>`
+    }
+
+    lastIndex = match.index + token.length
+  }
+
+  return result + escapeHtml(text.slice(lastIndex))
+}
+
+// ==================== 输出格式注册 ====================
+
+/**
+ * 代码类输出格式：format -> { toText, highlight }
+ * highlight 接收 toText 生成的文本，避免大输入重复推断类型
+ * 未注册的格式按结构描述输出
+ */
+const CODE_OUTPUT_FORMATS = {
+  typescript: {
+    toText: (data, options) => typeScriptToText(data, options),
+    highlight: text => highlightTypeScript(text)
+  },
+  zod: {
+    toText: (data, options) => zodToText(data, options),
+    highlight: text => highlightCode(text, ZOD_HIGHLIGHT_RULES)
+  },
+  go: {
+    toText: (data, options) => goToText(data, options),
+    highlight: text => highlightCode(text, GO_HIGHLIGHT_RULES)
+  },
+  kotlin: {
+    toText: (data, options) => kotlinToText(data, options),
+    highlight: text => highlightCode(text, KOTLIN_HIGHLIGHT_RULES)
+  },
+  java: {
+    toText: (data, options) => javaToText(data, options),
+    highlight: text => highlightCode(text, JAVA_HIGHLIGHT_RULES)
+  },
+  python: {
+    toText: (data, options) => pythonToText(data, options),
+    highlight: text => highlightCode(text, PYTHON_HIGHLIGHT_RULES)
+  },
+  rust: {
+    toText: (data, options) => rustToText(data, options),
+    highlight: text => highlightCode(text, RUST_HIGHLIGHT_RULES)
+  },
+  swift: {
+    toText: (data, options) => swiftToText(data, options),
+    highlight: text => highlightCode(text, SWIFT_HIGHLIGHT_RULES)
+  },
+  dart: {
+    toText: (data, options) => dartToText(data, options),
+    highlight: text => highlightCode(text, DART_HIGHLIGHT_RULES)
+  },
+  protobuf: {
+    toText: (data, options) => protobufToText(data, options),
+    highlight: text => highlightCode(text, PROTOBUF_HIGHLIGHT_RULES)
+  },
+  graphql: {
+    toText: (data, options) => graphqlToText(data, options),
+    highlight: text => highlightCode(text, GRAPHQL_HIGHLIGHT_RULES)
+  },
+  jsonSchema: {
+    toText: (data, options) => jsonSchemaToText(data, options),
+    highlight: text => highlightJson(text)
+  },
+  openapi: {
+    toText: (data, options) => openApiToText(data, options),
+    highlight: (text, options) => options.openapiFormat === 'json'
+      ? highlightJson(text)
+      : highlightCode(text, OPENAPI_YAML_HIGHLIGHT_RULES)
+  }
+}
+
+// ==================== 格式化输出 ====================
+
+/**
+ * 格式化结构输出（带语法高亮）
+ */
+function formatOutput(structure, indent = 0, compact = false) {
+  const spaces = compact ? '' : '  '.repeat(indent)
+  const newline = compact ? '' : '\n'
+
+  if (typeof structure === 'string') {
+    return `<span class="${getStructureTypeClass(structure)}">${escapeHtml(structure)}</span>`
+  }
+
+  if (structure === null || structure === undefined) {
+    return `<span class="type-null">null</span>`
+  }
+
+  if (typeof structure === 'object') {
+    if (structure.__type__ && structure.__items__ !== undefined) {
+      const typeLabel = `<span class="type-array">${escapeHtml(structure.__type__)}</span>`
+      const items = formatOutput(structure.__items__, indent, compact)
+      return `${typeLabel} ${items}`
+    }
+
+    const keys = Object.keys(structure)
+    if (keys.length === 0) return '<span class="bracket">{}</span>'
+
+    let rows = ''
+    keys.forEach((key, index) => {
+      const value = formatOutput(structure[key], indent + 1, compact)
+      const comma = index < keys.length - 1 ? ',' : ''
+      const lineSpaces = compact ? '' : '  '.repeat(indent + 1)
+      rows += `${lineSpaces}<span class="key">"${escapeHtml(key)}"</span>: ${value}${comma}${newline}`
+    })
+    const foldBtn = compact ? '' : '<span class="fold-btn" title="折叠/展开">−</span>'
+    return `<span class="node">${foldBtn}<span class="bracket">{</span><span class="node-ellipsis"> … }</span><span class="node-body">${newline}${rows}${spaces}</span><span class="node-close bracket">}</span></span>`
+  }
+
+  return escapeHtml(String(structure))
+}
+
+/**
+ * 将结构转为纯文本
+ */
+function structureToText(structure, indent = 0, compact = false) {
+  const spaces = compact ? '' : '  '.repeat(indent)
+  const newline = compact ? '' : '\n'
+
+  if (typeof structure === 'string') return structure
+  if (structure === null || structure === undefined) return 'null'
+
+  if (typeof structure === 'object') {
+    if (structure.__type__ && structure.__items__ !== undefined) {
+      return `${structure.__type__} ${structureToText(structure.__items__, indent, compact)}`
+    }
+
+    const keys = Object.keys(structure)
+    if (keys.length === 0) return '{}'
+
+    let result = `{${newline}`
+    keys.forEach((key, index) => {
+      const value = structureToText(structure[key], indent + 1, compact)
+      const comma = index < keys.length - 1 ? ',' : ''
+      result += `${compact ? '' : '  '.repeat(indent + 1)}"${key}": ${value}${comma}${newline}`
+    })
+    result += `${spaces}}`
+    return result
+  }
+
+  return String(structure)
+}
+
+/**
+ * 结构描述中类型文本对应的高亮样式
+ */
+function getStructureTypeClass(type) {
+  if (type.startsWith('number')) return 'type-number'
+  if (type.startsWith('boolean')) return 'type-boolean'
+  if (type.startsWith('null') || type === '[Circular]') return 'type-null'
+  if (type.startsWith('array') || type === '...') return 'type-array'
+  return 'type-string'
+}
+
+/**
+ * 将结构展开为逐行的行数据，供虚拟树按需渲染
+ * 行类型：leaf（键: 类型）、open（键: {）、close（}）、empty（键: {}）；
+ * open 行记录对应 close 行下标 end 与节点路径 path（用于保留折叠状态），
+ * 路径由 JSON 转义的键名拼接，键名中的 . 与括号不会与嵌套路径混淆
+ */
+function flattenStructureRows(structure) {
+  const rows = []
+
+  function visit(value, depth, key, path, labels, comma) {
+    // 对象数组等带类型前缀的节点，前缀与花括号显示在同一行
+    if (value && typeof value === 'object' && value.__type__ && value.__items__ !== undefined) {
+      visit(value.__items__, depth, key, `${path}[]`, [...labels, value.__type__], comma)
+      return
+    }
+
+    const label = labels.join(' ')
+    if (value === null || value === undefined || typeof value !== 'object') {
+      const type = value === null || value === undefined ? 'null' : String(value)
+      rows.push({ kind: 'leaf', depth, key, type: label ? `${label} ${type}` : type, comma })
+      return
+    }
+
+    const keys = Object.keys(value)
+    if (keys.length === 0) {
+      rows.push({ kind: 'empty', depth, key, label, comma })
+      return
+    }
+
+    const open = { kind: 'open', depth, key, label, path, end: -1, comma }
+    rows.push(open)
+    keys.forEach((childKey, index) => {
+      visit(value[childKey], depth + 1, childKey, `${path}[${JSON.stringify(childKey)}]`, [], index < keys.length - 1)
+    })
+    open.end = rows.length
+    rows.push({ kind: 'close', depth, comma })
+  }
+
+  visit(structure, 0, null, '', [], false)
+  return rows
+}
+
+/**
+ * 把高亮 HTML 按行切分，供虚拟列表逐行渲染
+ * 跨行的标签在行尾闭合、下一行重新打开，每行都是完整的 HTML；
+ * width 大于 0 时每行最多 width 个字符（实体按一个字符计），用于没有换行的紧凑输出
+ */
+function splitHighlightedLines(html, width = 0) {
+  const lines = []
+  const openTags = []
+  let line = ''
+  let column = 0
+
+  const breakLine = () => {
+    lines.push(line + openTags.map(tag => `</${tag.name}>`).reverse().join(''))
+    line = openTags.map(tag => tag.open).join('')
+    column = 0
+  }
+
+  for (const [token, closing, name] of html.matchAll(/<(\/?)([a-z]+)[^>]*>|\n|[^<\n]+/g)) {
+    if (token === '\n') {
+      breakLine()
+    } else if (name) {
+      if (closing) openTags.pop()
+      else openTags.push({ name, open: token })
+      line += token
+    } else if (width === 0) {
+      line += token
+    } else {
+      for (const [char] of token.matchAll(/&[^;]*;|[\s\S]/gu)) {
+        if (column === width) breakLine()
+        line += char
+        column++
+      }
+    }
+  }
+
+  lines.push(line + openTags.map(tag => `</${tag.name}>`).reverse().join(''))
+  return lines
+}
+
+/**
+ * 解析错误展示：错误信息 + 出错行片段与列位置指示
+ */
+function formatParseError(error, text) {
+  let html = `<span class="output-error">JSON 解析错误：${escapeHtml(error.message)}</span>`
+  if (!error.line) return html
+
+  const lineText = text.split('\n')[error.line - 1] ?? ''
+  // 长行只截取出错位置附近的内容
+  const start = Math.max(0, error.column - 41)
+  const snippet = lineText.slice(start, start + 80)
+  const gutter = `${error.line} | `
+  html += `\n\n<span class="parse-error-line">${escapeHtml(gutter + snippet)}</span>`
+  html += `\n<span class="parse-error-caret">${' '.repeat(gutter.length + error.column - 1 - start)}^</span>`
+  return html
+}
+
+/**
+ * 多文档输入中解析失败的行，最多列出 20 条
+ */
+function formatDocumentErrors(errors) {
+  if (errors.length === 0) return ''
+
+  const limit = 20
+  const lines = errors.slice(0, limit).map(error => `<span class="output-error">✕ ${escapeHtml(error.message)}</span>`)
+  if (errors.length > limit) lines.push(`<span class="output-error">… 另有 ${errors.length - limit} 处解析失败</span>`)
+  return `${lines.join('\n')}\n\n`
+}
+
+// ==================== URL 参数解析 ====================
+
+/**
+ * 从 URL 中提取查询参数字符串
+ * 支持标准 URL 和 Hash 路由（如 /#/path?key=value）
+ */
+function extractQueryString(urlStr) {
+  // Hash 路由中的参数（优先）
+  const hashIdx = urlStr.indexOf('#')
+  if (hashIdx !== -1) {
+    const hashPart = urlStr.slice(hashIdx + 1)
+    const qIdx = hashPart.indexOf('?')
+    if (qIdx !== -1) {
+      return hashPart.slice(qIdx + 1)
+    }
+  }
+  // 标准 query string
+  const qIdx = urlStr.indexOf('?')
+  if (qIdx !== -1) {
+    return urlStr.slice(qIdx + 1)
+  }
+  return ''
+}
+
+/**
+ * 解析查询参数列表
+ */
+function parseUrlParams(urlStr) {
+  const qs = extractQueryString(urlStr.trim())
+  if (!qs) return []
+
+  return qs.split('&').map((pair, index) => {
+    const eqIdx = pair.indexOf('=')
+    const rawKey = eqIdx === -1 ? pair : pair.slice(0, eqIdx)
+    const raw = eqIdx === -1 ? '' : pair.slice(eqIdx + 1)
+    let key = rawKey
+    let decoded = raw
+    try { key = decodeURIComponent(rawKey.replace(/\+/g, '%20')) } catch (e) { /* 保留原始值 */ }
+    try { decoded = decodeURIComponent(raw.replace(/\+/g, '%20')) } catch (e) { /* 保留原始值 */ }
+    return { index: index + 1, key, raw, decoded }
+  }).filter(p => p.key !== '')
+}
@@ -1,6 +1,7 @@
 /**
  * JSON 数据结构提取器 - 完整增强版
- * 功能：结构提取、TypeScript类型、对比、URL获取、历史记录、主题切换
+ * 功能：结构提取、TypeScript类型、Zod、Go、Java/Kotlin、Python、Rust、Swift/Dart、Protobuf、GraphQL、JSON Schema、OpenAPI、Mock 数据生成、对比、URL获取、历史记录、主题切换、DevTools 网络请求捕获
+ * 解析与生成逻辑位于 core.js，提取、Mock、格式化与输入统计在 worker.js 后台线程中执行
  */
 
 // ==================== DOM 元素 ====================
@@ -11,15 +12,19 @@ const elements = {
   output: $('output'),
   toast: $('toast'),
   status: $('status'),
+  taskProgress: $('taskProgress'),
   inputStats: $('inputStats'),
   outputStats: $('outputStats'),
 
   // 按钮
   extractBtn: $('extractBtn'),
+  mockBtn: $('mockBtn'),
   copyBtn: $('copyBtn'),
   pasteBtn: $('pasteBtn'),
   clearBtn: $('clearBtn'),
   formatBtn: $('formatBtn'),
+  cancelBtn: $('cancelBtn'),
+  queryBtn: $('queryBtn'),
   settingsBtn: $('settingsBtn'),
   themeBtn: $('themeBtn'),
   historyBtn: $('historyBtn'),
@@ -37,15 +42,47 @@ const elements = {
   showSampleValue: $('showSampleValue'),
   keysOnly: $('keysOnly'),
   compactMode: $('compactMode'),
+  tolerantParse: $('tolerantParse'),
   maxDepth: $('maxDepth'),
+  arraySampleSize: $('arraySampleSize'),
+  enumThreshold: $('enumThreshold'),
+  tsStyle: $('tsStyle'),
+  tsDeclaration: $('tsDeclaration'),
+  tsEnumStyle: $('tsEnumStyle'),
+  rootName: $('rootName'),
+  javaStyle: $('javaStyle'),
+  jvmAnnotation: $('jvmAnnotation'),
+  pythonStyle: $('pythonStyle'),
+  openapiFormat: $('openapiFormat'),
+  mockCount: $('mockCount'),
+  mockArrayMin: $('mockArrayMin'),
+  mockArrayMax: $('mockArrayMax'),
+  mockSeed: $('mockSeed'),
   outputFormat: $('outputFormat'),
   sortKeys: $('sortKeys'),
   searchInput: $('searchInput'),
+  queryInput: $('queryInput'),
+  queryLanguage: $('queryLanguage'),
 
   // 对比模式
   compareInputA: $('compareInputA'),
   compareInputB: $('compareInputB'),
+  compareMode: $('compareMode'),
+  compareAutoKey: $('compareAutoKey'),
+  compareArrayKeys: $('compareArrayKeys'),
+  compareIgnoreRules: $('compareIgnoreRules'),
+  compareIgnoreOrder: $('compareIgnoreOrder'),
+  compareNullAsMissing: $('compareNullAsMissing'),
+  compareTolerance: $('compareTolerance'),
   compareOutput: $('compareOutput'),
+  compareExport: $('compareExport'),
+  compareView: $('compareView'),
+  compareAligned: $('compareAligned'),
+  alignedStats: $('alignedStats'),
+  alignedPrevBtn: $('alignedPrevBtn'),
+  alignedNextBtn: $('alignedNextBtn'),
+  alignedLeft: $('alignedLeft'),
+  alignedRight: $('alignedRight'),
 
   // URL 参数解析
   urlInput: $('urlInput'),
@@ -57,6 +94,14 @@ const elements = {
   urlParamsResult: $('urlParamsResult'),
   urlParamsStats: $('urlParamsStats'),
 
+  // DevTools 网络请求
+  networkTab: $('networkTab'),
+  networkFilter: $('networkFilter'),
+  networkPreserveLog: $('networkPreserveLog'),
+  networkClearBtn: $('networkClearBtn'),
+  networkList: $('networkList'),
+  networkStats: $('networkStats'),
+
   // 选项卡和面板
   app: document.querySelector('.app')
 }
@@ -77,6 +122,24 @@ const MAX_HISTORY = 15 // 减少历史记录数量以提升性能
 const COMPARE_RENDER_BATCH_SIZE = 300
 const COMPARE_INPUT_LIGHT_MODE_CHARS = 120000
 const COMPARE_INPUT_LIGHT_MODE_LINES = 2000
+const NETWORK_MAX_ENTRIES = 200
+const isDevtoolsPanel = Boolean(typeof chrome !== 'undefined' && chrome.devtools && chrome.devtools.network)
+let networkEntries = []
+let networkEntrySeq = 0
+let networkGeneration = 0
+let parseWorker = null
+let workerTask = null
+let workerTaskSeq = 0
+let inputStatsTimer = null
+const INPUT_STATS_DELAY = 300
+let structureTree = null
+let structureTreeFrame = 0
+const collapsedTreePaths = new Set()
+const TREE_ROW_HEIGHT = 18
+const TREE_OVERSCAN = 30
+let alignedView = null
+let alignedViewFrame = 0
+const ALIGNED_ROW_HEIGHT = 18
 
 // ==================== 存储工具函数 ====================
 
@@ -146,15 +209,6 @@ async function migrateFromLocalStorage() {
 
 // ==================== 工具函数 ====================
 
-/**
- * HTML 转义
- */
-function escapeHtml(str) {
-  const div = document.createElement('div')
-  div.textContent = str
-  return div.innerHTML
-}
-
 /**
  * 显示 Toast 提示
  */
@@ -181,323 +235,156 @@ function getOptions() {
     keysOnly: elements.keysOnly.checked,
     compact: elements.compactMode.checked,
     sortKeys: elements.sortKeys.checked,
+    tolerantParse: elements.tolerantParse.checked,
     maxDepth: parseInt(elements.maxDepth.value) || 0,
-    format: elements.outputFormat.value
+    arraySampleSize: parseInt(elements.arraySampleSize.value) || 0,
+    enumThreshold: parseInt(elements.enumThreshold.value) || 0,
+    format: elements.outputFormat.value,
+    tsStyle: elements.tsStyle.value,
+    tsDeclaration: elements.tsDeclaration.value,
+    tsEnumStyle: elements.tsEnumStyle.value,
+    rootName: elements.rootName.value,
+    javaStyle: elements.javaStyle.value,
+    jvmAnnotation: elements.jvmAnnotation.value,
+    pythonStyle: elements.pythonStyle.value,
+    openapiFormat: elements.openapiFormat.value,
+    requestUrl: elements.urlInput.value.trim(),
+    mockCount: Math.min(Math.max(parseInt(elements.mockCount.value) || 1, 1), 100),
+    mockArrayMin: Math.max(parseInt(elements.mockArrayMin.value) || 0, 0),
+    mockArrayMax: Math.max(parseInt(elements.mockArrayMax.value) || 0, 0),
+    mockSeed: elements.mockSeed.value.trim(),
+    query: elements.queryInput.value.trim(),
+    queryLanguage: elements.queryLanguage.value,
+    compareMode: elements.compareMode.value,
+    compareAutoKey: elements.compareAutoKey.checked,
+    compareArrayKeys: elements.compareArrayKeys.value,
+    compareIgnoreRules: elements.compareIgnoreRules.value,
+    compareIgnoreOrder: elements.compareIgnoreOrder.checked,
+    compareNullAsMissing: elements.compareNullAsMissing.checked,
+    compareTolerance: Math.max(parseFloat(elements.compareTolerance.value) || 0, 0)
+  }
+}
+
+/**
+ * 更新输入框统计信息，需要自动修复的输入额外标注
+ * 在后台线程中解析；有提取等任务进行时跳过，任务完成后会一并更新统计
+ */
+async function updateInputStats() {
+  clearTimeout(inputStatsTimer)
+  const text = elements.jsonInput.value.trim()
+  if (!text) {
+    if (workerTask && workerTask.action === 'stats') cancelWorkerTask()
+    elements.inputStats.textContent = ''
+    return
   }
-}
+  if (workerTask && workerTask.action !== 'stats') return
 
-/**
- * 统计 JSON 信息
- */
-function getJsonStats(data) {
-  let count = { keys: 0, depth: 0 }
-  function traverse(obj, depth = 0) {
-    if (depth > count.depth) count.depth = depth
-    if (Array.isArray(obj)) {
-      obj.forEach(item => traverse(item, depth + 1))
-    } else if (obj && typeof obj === 'object') {
-      const keys = Object.keys(obj)
-      count.keys += keys.length
-      keys.forEach(key => traverse(obj[key], depth + 1))
-    }
+  try {
+    const { stats } = await runWorkerTask('stats', text, getOptions())
+    elements.inputStats.textContent = stats
+  } catch (e) {
+    if (!e.cancelled) elements.inputStats.textContent = '无效 JSON'
   }
-  traverse(data)
-  return count
 }
 
-// ==================== 核心功能：结构提取 ====================
-
 /**
- * 提取数据结构
+ * 输入停顿后再统计，避免每次按键都解析整个输入
  */
-function extractStructure(data, options = {}, depth = 0, seen = new WeakSet()) {
-  const { showLength = true, showSample = false, keysOnly = false, sortKeys = false, maxDepth = 0 } = options
-
-  // 深度限制
-  if (maxDepth > 0 && depth >= maxDepth) return '...'
-  
-  // null
-  if (data === null) return keysOnly ? null : 'null'
-  
-  // undefined
-  if (data === undefined) return keysOnly ? null : 'undefined'
-
-  const type = typeof data
-
-  // 基础类型
-  if (type === 'string') {
-    if (keysOnly) return null
-    if (showSample) {
-      const sample = data.length > 30 ? data.slice(0, 30) + '...' : data
-      return `string ("${sample}")`
-    }
-    return 'string'
-  }
-
-  if (type === 'number') {
-    if (keysOnly) return null
-    return showSample ? `number (${data})` : 'number'
-  }
-
-  if (type === 'boolean') {
-    if (keysOnly) return null
-    return showSample ? `boolean (${data})` : 'boolean'
-  }
-
-  // 循环引用检测
-  if (type === 'object') {
-    if (seen.has(data)) return '[Circular]'
-    seen.add(data)
-  }
-
-  // 数组
-  if (Array.isArray(data)) {
-    if (data.length === 0) return keysOnly ? '[]' : (showLength ? 'array[0]' : 'array[]')
-
-    const lengthInfo = showLength ? `[${data.length}]` : ''
-    const firstItem = extractStructure(data[0], options, depth + 1, seen)
-
-    if (typeof data[0] !== 'object' || data[0] === null) {
-      return keysOnly ? `array${lengthInfo}` : `array${lengthInfo}<${firstItem}>`
-    }
-
-    return { __type__: `array${lengthInfo}`, __items__: firstItem }
-  }
-
-  // 对象
-  if (type === 'object') {
-    let keys = Object.keys(data)
-    if (keys.length === 0) return {}
-
-    // 键名排序
-    if (sortKeys) keys = keys.slice().sort()
-
-    const result = {}
-    for (const key of keys) {
-      result[key] = extractStructure(data[key], options, depth + 1, seen)
-    }
-    return result
-  }
-
-  return keysOnly ? null : type
+function scheduleInputStats() {
+  clearTimeout(inputStatsTimer)
+  inputStatsTimer = setTimeout(updateInputStats, INPUT_STATS_DELAY)
 }
 
-// ==================== 核心功能：TypeScript 类型生成 ====================
+// ==================== 后台任务 ====================
 
 /**
- * 生成 TypeScript 类型定义
+ * 获取后台解析线程，首次使用或取消后重新创建
  */
-function generateTypeScript(data, name = 'Root', indent = 0) {
-  const spaces = '  '.repeat(indent)
-  const type = typeof data
-
-  // null/undefined
-  if (data === null) return 'null'
-  if (data === undefined) return 'undefined'
+function getParseWorker() {
+  if (parseWorker) return parseWorker
 
-  // 基础类型
-  if (type === 'string') return 'string'
-  if (type === 'number') return 'number'
-  if (type === 'boolean') return 'boolean'
+  parseWorker = new Worker('worker.js')
+  parseWorker.addEventListener('message', (e) => {
+    const { id, type } = e.data
+    if (!workerTask || workerTask.id !== id) return
 
-  // 数组
-  if (Array.isArray(data)) {
-    if (data.length === 0) return 'any[]'
-    const itemType = generateTypeScript(data[0], name + 'Item', indent)
-    
-    // 如果数组元素是复杂对象，生成内联接口
-    if (typeof data[0] === 'object' && data[0] !== null && !Array.isArray(data[0])) {
-      return `Array<{\n${generateObjectFields(data[0], indent + 1)}\n${spaces}}>`
+    if (type === 'progress') {
+      if (workerTask.onProgress) workerTask.onProgress(e.data.stage, e.data.percent)
+      return
     }
-    return `${itemType}[]`
-  }
 
-  // 对象
-  if (type === 'object') {
-    return `{\n${generateObjectFields(data, indent + 1)}\n${spaces}}`
-  }
-
-  return 'any'
-}
-
-/**
- * 生成对象字段
- */
-function generateObjectFields(obj, indent = 0) {
-  const spaces = '  '.repeat(indent)
-  const lines = []
-
-  for (const key of Object.keys(obj)) {
-    const value = obj[key]
-    const fieldType = generateTypeScript(value, capitalize(key), indent)
-    // 判断是否需要引号
-    const safeKey = /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? key : `"${key}"`
-    lines.push(`${spaces}${safeKey}: ${fieldType};`)
-  }
-
-  return lines.join('\n')
-}
-
-/**
- * 首字母大写
- */
-function capitalize(str) {
-  return str.charAt(0).toUpperCase() + str.slice(1)
+    const task = workerTask
+    workerTask = null
+    if (type === 'result') task.resolve(e.data.result)
+    else task.reject(Object.assign(new Error(e.data.error.message), e.data.error))
+  })
+  // 线程自身崩溃（如内存不足）时丢弃该线程，下次任务重建
+  parseWorker.addEventListener('error', (e) => {
+    e.preventDefault()
+    const task = workerTask
+    parseWorker.terminate()
+    parseWorker = null
+    workerTask = null
+    if (task) task.reject(new Error(e.message || '后台解析线程异常退出'))
+  })
+  return parseWorker
 }
 
 /**
- * 格式化 TypeScript 输出（带语法高亮）
+ * 在后台线程执行任务，同一时间只保留一个任务，新任务会取消旧任务
  */
-function formatTypeScript(data, interfaceName = 'IResponse') {
-  const content = generateTypeScript(data, interfaceName, 0)
-  
-  // 如果是简单类型，直接返回
-  if (!content.startsWith('{') && !content.startsWith('Array')) {
-    return `<span class="ts-keyword">type</span> <span class="ts-interface">${interfaceName}</span> = <span class="ts-type">${content}</span>;`
-  }
-
-  // 生成接口定义
-  let result = `<span class="ts-keyword">interface</span> <span class="ts-interface">${interfaceName}</span> `
-  result += highlightTypeScript(content)
-  
-  return result
-}
+function runWorkerTask(action, text, options, onProgress = null) {
+  if (workerTask) cancelWorkerTask()
 
-/**
- * TypeScript 语法高亮
- */
-function highlightTypeScript(code) {
-  return code
-    .replace(/\b(string|number|boolean|null|undefined|any)\b/g, '<span class="ts-type">$1</span>')
-    .replace(/\bArray</g, '<span class="ts-type">Array</span><')
+  const id = ++workerTaskSeq
+  return new Promise((resolve, reject) => {
+    workerTask = { id, action, resolve, reject, onProgress }
+    getParseWorker().postMessage({ id, action, text, options })
+  })
 }
 
-// ==================== 核心功能：结构对比 ====================
-
 /**
- * 对比两个 JSON 的结构差异
+ * 取消当前任务：解析无法中途打断，直接终止线程，下次任务时重建
  */
-function compareStructures(a, b, path = '') {
-  const result = { same: [], added: [], removed: [], changed: [] }
-
-  const typeA = getType(a)
-  const typeB = getType(b)
-
-  // 类型不同
-  if (typeA !== typeB) {
-    result.changed.push({ path: path || 'root', typeA, typeB, valueA: a, valueB: b })
-    return result
-  }
-
-  // 都是对象
-  if (typeA === 'object') {
-    const keysA = Object.keys(a || {})
-    const keysB = Object.keys(b || {})
-    const allKeys = [...new Set([...keysA, ...keysB])]
+function cancelWorkerTask() {
+  if (!workerTask) return
 
-    for (const key of allKeys) {
-      const newPath = path ? `${path}.${key}` : key
-      
-      if (!(key in a)) {
-        result.added.push({ path: newPath, type: getType(b[key]), value: b[key], side: 'B' })
-      } else if (!(key in b)) {
-        result.removed.push({ path: newPath, type: getType(a[key]), value: a[key], side: 'A' })
-      } else {
-        const sub = compareStructures(a[key], b[key], newPath)
-        result.same.push(...sub.same)
-        result.added.push(...sub.added)
-        result.removed.push(...sub.removed)
-        result.changed.push(...sub.changed)
-      }
-    }
-
-    if (result.added.length === 0 && result.removed.length === 0 && result.changed.length === 0 && keysA.length > 0) {
-      result.same.push({ path: path || 'root', type: 'object' })
-    }
-  }
-  // 都是数组 - 合并所有元素 key union 后对比
-  else if (typeA === 'array') {
-    if (a.length > 0 && b.length > 0) {
-      // 将数组中所有对象元素的 key 合并，避免仅取 [0] 漏检异构数组
-      const mergeItems = arr => {
-        const objItems = arr.filter(x => x && typeof x === 'object' && !Array.isArray(x))
-        if (objItems.length === 0) return arr[0]
-        return Object.assign({}, ...objItems)
-      }
-      const sub = compareStructures(mergeItems(a), mergeItems(b), path ? `${path}[]` : 'root[]')
-      result.same.push(...sub.same)
-      result.added.push(...sub.added)
-      result.removed.push(...sub.removed)
-      result.changed.push(...sub.changed)
-    }
-    if (result.added.length === 0 && result.removed.length === 0 && result.changed.length === 0) {
-      result.same.push({ path: path || 'root', type: 'array' })
-    }
-  }
-  // 基础类型相同
-  else {
-    result.same.push({ path: path || 'root', type: typeA })
-  }
-
-  return result
+  const task = workerTask
+  workerTask = null
+  parseWorker.terminate()
+  parseWorker = null
+  task.reject(Object.assign(new Error('已取消'), { cancelled: true }))
 }
 
 /**
- * 获取值的类型
+ * 切换任务进行中的界面状态：显示取消按钮与进度条
  */
-function getType(value) {
-  if (value === null) return 'null'
-  if (Array.isArray(value)) return 'array'
-  return typeof value
+function setTaskBusy(busy) {
+  elements.cancelBtn.hidden = !busy
+  elements.taskProgress.hidden = !busy
+  elements.taskProgress.value = 0
 }
 
 /**
- * 格式化对比值
+ * 执行提取 / Mock / 格式化等主任务，状态栏展示阶段与进度
  */
-function formatCompareValue(value) {
-  if (value === undefined) return 'undefined'
-  if (typeof value === 'string') return value
+async function runMainTask(action, text, options) {
+  clearTimeout(inputStatsTimer)
+  setTaskBusy(true)
+  updateStatus('处理中...')
 
   try {
-    const jsonValue = JSON.stringify(value)
-    return jsonValue === undefined ? String(value) : jsonValue
-  } catch (e) {
-    return String(value)
+    return await runWorkerTask(action, text, options, (stage, percent) => {
+      elements.taskProgress.value = percent
+      updateStatus(`${stage}... ${percent}%`)
+    })
+  } finally {
+    // 被新任务取代时由新任务继续管理界面状态
+    if (!workerTask) setTaskBusy(false)
   }
 }
 
-/**
- * 拼接嵌套字段路径
- */
-function joinComparePath(path, key, isArrayItem = false) {
-  if (isArrayItem) return `${path}[${key}]`
-  return path ? `${path}.${key}` : key
-}
-
-/**
- * 展开对象或数组值，便于直接展示字段和值
- */
-function flattenCompareEntries(path, value) {
-  const valueType = getType(value)
-
-  if (valueType === 'object') {
-    const keys = Object.keys(value || {})
-    if (keys.length === 0) return [{ path, value }]
-
-    return keys.flatMap(key => flattenCompareEntries(joinComparePath(path, key), value[key]))
-  }
-
-  if (valueType === 'array') {
-    if (value.length === 0) return [{ path, value }]
-
-    const isPrimitiveArray = value.every(item => item === null || typeof item !== 'object')
-    if (isPrimitiveArray) return [{ path, value }]
-
-    return value.flatMap((item, index) => flattenCompareEntries(joinComparePath(path, index, true), item))
-  }
-
-  return [{ path, value }]
-}
+// ==================== 结构对比 ====================
 
 /**
  * 获取对比输入框元素
@@ -609,7 +496,7 @@ function compressCompareInputs() {
  */
 function formatCompareLine(path, value) {
   return `
-    <div class="diff-line-row">
+    <div class="diff-line-row" data-path="${escapeHtml(path)}">
       <span class="diff-field-name">${escapeHtml(path)}</span>
       <span class="diff-separator">:</span>
       <span class="diff-inline-value">${escapeHtml(formatCompareValue(value))}</span>
@@ -618,16 +505,18 @@ function formatCompareLine(path, value) {
 }
 
 /**
- * 格式化类型变化差异行
+ * 格式化变更差异行
  */
 function formatChangedCompareLine(item) {
+  const [valueA, valueB] = getChangedCompareValues(item)
   return `
-    <div class="diff-line-row diff-changed-row">
+    <div class="diff-line-row diff-changed-row" data-path="${escapeHtml(item.path)}">
+      <span class="diff-kind">${COMPARE_CHANGE_LABELS[item.kind] || COMPARE_CHANGE_LABELS.type}</span>
       <span class="diff-field-name">${escapeHtml(item.path)}</span>
       <span class="diff-separator">:</span>
-      <span class="diff-inline-value diff-old-value">${escapeHtml(formatCompareValue(item.valueA))}</span>
+      <span class="diff-inline-value diff-old-value">${escapeHtml(valueA)}</span>
       <span class="diff-arrow">→</span>
-      <span class="diff-inline-value diff-new-value">${escapeHtml(formatCompareValue(item.valueB))}</span>
+      <span class="diff-inline-value diff-new-value">${escapeHtml(valueB)}</span>
     </div>
   `
 }
@@ -639,13 +528,6 @@ function formatCompareItem(item) {
   return formatCompareLine(item.path, item.value)
 }
 
-/**
- * 展开新增或删除差异项
- */
-function flattenCompareItems(items) {
-  return items.flatMap(item => flattenCompareEntries(item.path || item.field, item.value))
-}
-
 /**
  * 格式化类型变化差异
  */
@@ -681,17 +563,6 @@ function formatCompareLoadMore(variant, nextIndex, total) {
   `
 }
 
-/**
- * 准备对比结果渲染缓存
- */
-function createCompareRenderData(result) {
-  return {
-    added: flattenCompareItems(result.added),
-    removed: flattenCompareItems(result.removed),
-    changed: result.changed || []
-  }
-}
-
 /**
  * 格式化差异区域
  */
@@ -719,20 +590,25 @@ function formatCompareSection(variant, title, items) {
 /**
  * 格式化对比结果
  */
-function formatCompareResult(result) {
-  compareRenderCache = createCompareRenderData(result)
+function formatCompareResult(result, options = {}) {
+  const valueMode = options.mode === 'value'
+  compareRenderCache = createCompareRenderData(result, options)
   const addedCount = compareRenderCache.added.length
   const removedCount = compareRenderCache.removed.length
   const changedCount = compareRenderCache.changed.length
   const diffCount = addedCount + removedCount + changedCount
+  const ignored = compareRenderCache.ignored
+  const ignoredNote = ignored.length > 0
+    ? `<span class="diff-ignored" title="${escapeHtml(ignored.join('\n'))}">（已忽略 ${ignored.length} 个字段路径）</span>`
+    : ''
 
   const summary = `
     <div class="diff-summary">
-      <div class="diff-baseline">基准：左侧 JSON → 对比：右侧 JSON</div>
+      <div class="diff-baseline">基准：左侧 JSON → 对比：右侧 JSON${ignoredNote}</div>
       <div class="diff-counts">
         <span class="diff-count-add" title="新增字段">新增 ${addedCount}</span>
         <span class="diff-count-remove" title="删除字段">删除 ${removedCount}</span>
-        <span class="diff-count-change" title="类型变化">变更 ${changedCount}</span>
+        <span class="diff-count-change" title="${valueMode ? '取值、类型、数组长度或元素顺序变化' : '类型变化'}">变更 ${changedCount}</span>
       </div>
     </div>
   `
@@ -741,7 +617,7 @@ function formatCompareResult(result) {
     return `
       <div class="diff-result-container">
         ${summary}
-        <div class="diff-empty">两个 JSON 结构完全一致</div>
+        <div class="diff-empty">${valueMode ? '两个 JSON 完全一致' : '两个 JSON 结构完全一致'}</div>
       </div>
     `
   }
@@ -756,103 +632,412 @@ function formatCompareResult(result) {
   `
 }
 
-// ==================== 格式化输出 ====================
+// ==================== 对比结果导出 ====================
 
 /**
- * 格式化结构输出（带语法高亮）
+ * 读取当前主题下 HTML 报告所用的配色变量
  */
-function formatOutput(structure, indent = 0, compact = false) {
-  const spaces = compact ? '' : '  '.repeat(indent)
-  const newline = compact ? '' : '\n'
+function getCompareReportColors() {
+  const computed = getComputedStyle(document.documentElement)
+  return Object.fromEntries(COMPARE_REPORT_COLORS.map(name => [name, computed.getPropertyValue(name).trim()]))
+}
 
-  if (typeof structure === 'string') {
-    let typeClass = 'type-string'
-    if (structure.startsWith('number')) typeClass = 'type-number'
-    else if (structure.startsWith('boolean')) typeClass = 'type-boolean'
-    else if (structure === 'null' || structure.startsWith('null')) typeClass = 'type-null'
-    else if (structure.startsWith('array') || structure === '...') typeClass = 'type-array'
-    else if (structure === '[Circular]') typeClass = 'type-null'
-    return `<span class="${typeClass}">${escapeHtml(structure)}</span>`
-  }
+/**
+ * 以文件形式下载文本
+ */
+function downloadTextFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
 
-  if (structure === null || structure === undefined) {
-    return `<span class="type-null">null</span>`
+/**
+ * 导出当前对比结果：Markdown 表格与 JSON Patch 复制到剪贴板，HTML 报告下载为文件
+ * JSON Patch 基于左右完整 JSON 生成（忽略规则命中的字段除外），不受对比方式影响
+ */
+async function exportCompareResult(format) {
+  if (!compareRenderCache) {
+    showToast('请先对比两个 JSON', 'error')
+    return
   }
 
-  if (typeof structure === 'object') {
-    if (structure.__type__ && structure.__items__ !== undefined) {
-      const typeLabel = `<span class="type-array">${escapeHtml(structure.__type__)}</span>`
-      const items = formatOutput(structure.__items__, indent, compact)
-      return `${typeLabel} ${items}`
+  try {
+    if (format === 'html') {
+      const timestamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-')
+      downloadTextFile(`json-diff-${timestamp}.html`, compareToHtmlReport(compareRenderCache, getCompareReportColors()), 'text/html')
+      showToast('已下载 HTML 报告')
+    } else if (format === 'patch') {
+      const [left, right] = compareRenderCache.documents
+      const patch = createJsonPatch(left, right)
+      await navigator.clipboard.writeText(JSON.stringify(patch, null, 2))
+      showToast(`已复制 JSON Patch（${patch.length} 个操作）`)
+    } else {
+      await navigator.clipboard.writeText(compareToMarkdown(compareRenderCache))
+      showToast('已复制 Markdown 表格')
     }
+  } catch (e) {
+    showToast('导出失败', 'error')
+  }
+}
 
-    const keys = Object.keys(structure)
-    if (keys.length === 0) return '<span class="bracket">{}</span>'
+// ==================== 并排视图 ====================
+
+/**
+ * 切换对比结果的列表 / 并排视图
+ */
+function setCompareView(view) {
+  elements.compareView.value = view
+  elements.compareOutput.hidden = view === 'aligned'
+  elements.compareAligned.hidden = view !== 'aligned'
+  if (view === 'aligned') renderAlignedView()
+}
+
+/**
+ * 渲染并排视图；对比结果变化后首次显示时才生成对齐数据
+ */
+function renderAlignedView() {
+  if (!compareRenderCache || !compareRenderCache.documents) {
+    resetAlignedView()
+    elements.alignedStats.textContent = '请先对比两个 JSON'
+    return
+  }
 
-    let rows = ''
-    keys.forEach((key, index) => {
-      const value = formatOutput(structure[key], indent + 1, compact)
-      const comma = index < keys.length - 1 ? ',' : ''
-      const lineSpaces = compact ? '' : '  '.repeat(indent + 1)
-      rows += `${lineSpaces}<span class="key">"${escapeHtml(key)}"</span>: ${value}${comma}${newline}`
+  if (!alignedView) {
+    const [left, right] = compareRenderCache.documents
+    alignedView = createAlignedView(left, right, compareRenderCache.options)
+    ;[[elements.alignedLeft, alignedView.widthA], [elements.alignedRight, alignedView.widthB]].forEach(([pane, width]) => {
+      pane.innerHTML = `<div class="aligned-spacer" style="height: ${alignedView.rows.length * ALIGNED_ROW_HEIGHT}px; width: calc(${width}ch + 64px)"><div class="aligned-window"></div></div>`
+      pane.scrollTop = 0
+      pane.scrollLeft = 0
     })
-    const foldBtn = compact ? '' : '<span class="fold-btn" title="折叠/展开">−</span>'
-    return `<span class="node">${foldBtn}<span class="bracket">{</span><span class="node-ellipsis"> … }</span><span class="node-body">${newline}${rows}${spaces}</span><span class="node-close bracket">}</span></span>`
   }
+  updateAlignedStats()
+  renderAlignedWindow()
+}
 
-  return escapeHtml(String(structure))
+/**
+ * 清除并排视图（对比结果被清空或重新对比时）
+ */
+function resetAlignedView() {
+  alignedView = null
+  elements.alignedLeft.innerHTML = ''
+  elements.alignedRight.innerHTML = ''
+  elements.alignedStats.textContent = ''
 }
 
 /**
- * 将结构转为纯文本
+ * 更新差异计数与当前位置
  */
-function structureToText(structure, indent = 0, compact = false) {
-  const spaces = compact ? '' : '  '.repeat(indent)
-  const newline = compact ? '' : '\n'
+function updateAlignedStats() {
+  const { hunks, current } = alignedView
+  if (hunks.length === 0) elements.alignedStats.textContent = '两侧内容一致'
+  else elements.alignedStats.textContent = current >= 0 ? `第 ${current + 1} / ${hunks.length} 处差异` : `共 ${hunks.length} 处差异`
+}
 
-  if (typeof structure === 'string') return structure
-  if (structure === null || structure === undefined) return 'null'
+/**
+ * 渲染两栏的可视区域，两栏滚动位置同步，以左栏为准
+ */
+function renderAlignedWindow() {
+  if (!alignedView) return
 
-  if (typeof structure === 'object') {
-    if (structure.__type__ && structure.__items__ !== undefined) {
-      return `${structure.__type__} ${structureToText(structure.__items__, indent, compact)}`
-    }
+  const pane = elements.alignedLeft
+  const start = Math.max(0, Math.floor(pane.scrollTop / ALIGNED_ROW_HEIGHT) - TREE_OVERSCAN)
+  const end = Math.min(alignedView.rows.length, Math.ceil((pane.scrollTop + pane.clientHeight) / ALIGNED_ROW_HEIGHT) + TREE_OVERSCAN)
 
-    const keys = Object.keys(structure)
-    if (keys.length === 0) return '{}'
+  ;[[elements.alignedLeft, 'left', 'lineA'], [elements.alignedRight, 'right', 'lineB']].forEach(([target, side, lineKey]) => {
+    const windowEl = target.querySelector('.aligned-window')
+    if (!windowEl) return
+    let html = ''
+    for (let i = start; i < end; i++) html += formatAlignedRow(i, side, lineKey)
+    windowEl.style.transform = `translateY(${start * ALIGNED_ROW_HEIGHT}px)`
+    windowEl.innerHTML = html
+  })
+}
 
-    let result = `{${newline}`
-    keys.forEach((key, index) => {
-      const value = structureToText(structure[key], indent + 1, compact)
-      const comma = index < keys.length - 1 ? ',' : ''
-      result += `${compact ? '' : '  '.repeat(indent + 1)}"${key}": ${value}${comma}${newline}`
-    })
-    result += `${spaces}}`
-    return result
+/**
+ * 单侧单行 HTML；另一侧独有的行显示为空白占位
+ */
+function formatAlignedRow(index, side, lineKey) {
+  const row = alignedView.rows[index]
+  const text = row[side]
+  const focus = alignedView.focus && index >= alignedView.focus.start && index <= alignedView.focus.end ? ' aligned-focus' : ''
+  if (text === null) return `<div class="aligned-row aligned-blank${focus}"><span class="aligned-line-no"></span></div>`
+  const kind = row.kind === 'same' ? '' : ` aligned-${row.kind}`
+  return `<div class="aligned-row${kind}${focus}" title="${escapeHtml(row.path)}"><span class="aligned-line-no">${row[lineKey]}</span>${escapeHtml(text)}</div>`
+}
+
+/**
+ * 滚动或尺寸变化时在下一帧重绘
+ */
+function scheduleAlignedRender() {
+  if (!alignedView || alignedViewFrame) return
+  alignedViewFrame = requestAnimationFrame(() => {
+    alignedViewFrame = 0
+    renderAlignedWindow()
+  })
+}
+
+/**
+ * 一栏滚动时同步另一栏（赋相同的值不会再触发滚动事件，不会循环）
+ */
+function syncAlignedScroll(source, target) {
+  if (target.scrollTop !== source.scrollTop) target.scrollTop = source.scrollTop
+  if (target.scrollLeft !== source.scrollLeft) target.scrollLeft = source.scrollLeft
+  scheduleAlignedRender()
+}
+
+/**
+ * 标记并滚动到指定行范围，目标行位于可视区域上方三分之一处
+ */
+function focusAlignedRows(start, end) {
+  alignedView.focus = { start, end }
+  const top = Math.max(0, start * ALIGNED_ROW_HEIGHT - elements.alignedLeft.clientHeight / 3)
+  elements.alignedLeft.scrollTop = top
+  elements.alignedRight.scrollTop = top
+  updateAlignedStats()
+  renderAlignedWindow()
+}
+
+/**
+ * 跳到下一处 / 上一处差异
+ */
+function jumpToAlignedDiff(direction) {
+  if (!alignedView || alignedView.hunks.length === 0) return
+  const { hunks, focus } = alignedView
+  const from = focus ? focus.start : Math.floor(elements.alignedLeft.scrollTop / ALIGNED_ROW_HEIGHT) - (direction > 0 ? 1 : 0)
+
+  let index = direction > 0
+    ? hunks.findIndex(hunk => hunk.start > from)
+    : hunks.map(hunk => hunk.start < from).lastIndexOf(true)
+  if (index === -1) index = direction > 0 ? 0 : hunks.length - 1
+
+  alignedView.current = index
+  focusAlignedRows(hunks[index].start, hunks[index].end)
+}
+
+/**
+ * 查找路径对应的行：先精确匹配，再忽略数组下标写法匹配，仍未找到时逐级退到父路径
+ */
+function findAlignedRow(path) {
+  const { rows, pathIndex } = alignedView
+  for (let current = path; current;) {
+    if (pathIndex.has(current)) return pathIndex.get(current)
+    const normalized = normalizeArrayIndexes(current)
+    const index = rows.findIndex(row => normalizeArrayIndexes(row.path) === normalized)
+    if (index !== -1) return index
+
+    const parent = current.replace(/(?:\.[^.[\]]*|\[(?:"(?:\\.|[^"\\])*"|[^\]])*\])$/, '')
+    current = parent !== current ? parent : ''
   }
+  return pathIndex.has('root') ? pathIndex.get('root') : -1
+}
+
+/**
+ * 在并排视图中定位对比结果条目，标记该路径所在的差异区域
+ */
+function scrollAlignedToPath(path) {
+  setCompareView('aligned')
+  if (!alignedView) return
 
-  return String(structure)
+  const index = findAlignedRow(path)
+  if (index === -1) return
+  const hunkIndex = alignedView.hunks.findIndex(hunk => index >= hunk.start && index <= hunk.end)
+  alignedView.current = hunkIndex
+  if (hunkIndex === -1) focusAlignedRows(index, index)
+  else focusAlignedRows(index, alignedView.hunks[hunkIndex].end)
 }
 
+// ==================== 格式化输出 ====================
+
 /**
- * TypeScript 转纯文本
+ * 在输入框中选中出错位置并滚动到对应行
  */
-function typeScriptToText(data, interfaceName = 'IResponse') {
-  const content = generateTypeScript(data, interfaceName, 0)
-  
-  if (!content.startsWith('{') && !content.startsWith('Array')) {
-    return `type ${interfaceName} = ${content};`
+function highlightInputError(textarea, error) {
+  if (error.offset === undefined) return
+
+  textarea.classList.add('input-error')
+  textarea.focus()
+  textarea.setSelectionRange(error.offset, Math.min(error.offset + 1, textarea.value.length))
+
+  const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 18
+  textarea.scrollTop = Math.max(0, (error.line - 3) * lineHeight)
+}
+
+// ==================== 虚拟树 ====================
+
+/**
+ * 设置输出区 HTML，同时退出虚拟树模式（只用于提示、错误等短内容）
+ */
+function setOutputHtml(html) {
+  structureTree = null
+  elements.output.classList.remove('virtual-tree')
+  elements.output.innerHTML = html
+}
+
+/**
+ * 以虚拟列表渲染结构描述：只生成可视区域内的行，滚动时按需替换
+ * 折叠状态按节点路径记录，重新提取相同结构时保持折叠
+ */
+function renderStructureTree(rows, headerHtml = '') {
+  const output = elements.output
+  output.classList.add('virtual-tree')
+  output.innerHTML = `${headerHtml ? `<div class="tree-header">${headerHtml}</div>` : ''}<div class="tree-spacer"><div class="tree-window"></div></div>`
+  output.scrollTop = 0
+
+  structureTree = {
+    rows,
+    visible: [],
+    query: '',
+    wrapSource: null,
+    columns: 0,
+    spacer: output.querySelector('.tree-spacer'),
+    window: output.querySelector('.tree-window')
   }
+  updateVisibleTreeRows()
+}
+
+/**
+ * 以同一虚拟列表逐行渲染高亮后的文本输出（代码生成、紧凑结构、查询与 Mock 结果）
+ * wrap 时按输出区宽度折行（紧凑结构没有换行），尺寸变化后重新折行
+ */
+function renderTextOutput(html, { headerHtml = '', wrap = false } = {}) {
+  const columns = wrap ? getOutputColumns() : 0
+  renderStructureTree(splitHighlightedLines(html, columns).map(line => ({ kind: 'line', html: line })), headerHtml)
+  if (wrap) Object.assign(structureTree, { wrapSource: html, columns })
+}
+
+/**
+ * 输出区一行能容纳的等宽字符数
+ */
+function getOutputColumns() {
+  const output = elements.output
+  const probe = document.createElement('span')
+  probe.textContent = '0'.repeat(100)
+  output.appendChild(probe)
+  const charWidth = probe.getBoundingClientRect().width / 100
+  probe.remove()
+
+  const style = getComputedStyle(output)
+  const width = output.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight)
+  return charWidth > 0 ? Math.max(20, Math.floor(width / charWidth)) : 120
+}
+
+/**
+ * 输出区宽度变化时按新的列数重新折行
+ */
+function rewrapTextOutput() {
+  if (!structureTree || !structureTree.wrapSource) return
+  const columns = getOutputColumns()
+  if (columns === structureTree.columns) return
+
+  structureTree.columns = columns
+  structureTree.rows = splitHighlightedLines(structureTree.wrapSource, columns).map(line => ({ kind: 'line', html: line }))
+  updateVisibleTreeRows()
+}
+
+/**
+ * 根据折叠状态计算可见行，折叠节点跳过其子行与闭合行
+ */
+function updateVisibleTreeRows() {
+  const { rows } = structureTree
+  const visible = []
+  for (let i = 0; i < rows.length; i++) {
+    visible.push(i)
+    if (rows[i].kind === 'open' && collapsedTreePaths.has(rows[i].path)) i = rows[i].end
+  }
+  structureTree.visible = visible
+  structureTree.spacer.style.height = `${visible.length * TREE_ROW_HEIGHT}px`
+  renderTreeWindow()
+}
+
+/**
+ * 渲染可视区域（上下各多渲染 TREE_OVERSCAN 行，减少快速滚动时的空白）
+ */
+function renderTreeWindow() {
+  if (!structureTree) return
+
+  const { visible, spacer } = structureTree
+  const output = elements.output
+  const scrollTop = Math.max(0, output.scrollTop - spacer.offsetTop)
+  const start = Math.max(0, Math.floor(scrollTop / TREE_ROW_HEIGHT) - TREE_OVERSCAN)
+  const end = Math.min(visible.length, Math.ceil((scrollTop + output.clientHeight) / TREE_ROW_HEIGHT) + TREE_OVERSCAN)
+
+  let html = ''
+  for (let i = start; i < end; i++) html += formatTreeRow(visible[i])
+  structureTree.window.style.transform = `translateY(${start * TREE_ROW_HEIGHT}px)`
+  structureTree.window.innerHTML = html
+  // 文本行中的键名在渲染后标记搜索结果
+  if (structureTree.query) markSearchMatches(structureTree.window, structureTree.query)
+}
+
+/**
+ * 滚动或尺寸变化时在下一帧重绘，合并同一帧内的多次触发
+ */
+function scheduleTreeRender() {
+  if (!structureTree || structureTreeFrame) return
+  structureTreeFrame = requestAnimationFrame(() => {
+    structureTreeFrame = 0
+    renderTreeWindow()
+  })
+}
+
+/**
+ * 单行 HTML
+ */
+function formatTreeRow(index) {
+  const row = structureTree.rows[index]
+  if (row.kind === 'line') return `<div class="tree-row">${row.html}</div>`
+
+  const comma = row.comma ? ',' : ''
+  let html = '  '.repeat(row.depth)
+
+  if (row.kind === 'close') {
+    return `<div class="tree-row">${html}<span class="bracket">}</span>${comma}</div>`
+  }
+
+  if (row.key !== null) {
+    const match = structureTree.query && row.key.toLowerCase().includes(structureTree.query)
+    html += `<span class="key${match ? ' search-match' : ''}">"${escapeHtml(row.key)}"</span>: `
+  }
+
+  if (row.kind === 'leaf') {
+    html += `<span class="${getStructureTypeClass(row.type)}">${escapeHtml(row.type)}</span>${comma}`
+  } else {
+    if (row.label) html += `<span class="type-array">${escapeHtml(row.label)}</span> `
+    if (row.kind === 'empty') {
+      html += `<span class="bracket">{}</span>${comma}`
+    } else if (collapsedTreePaths.has(row.path)) {
+      html += `<span class="fold-btn" data-row="${index}" title="折叠/展开">+</span><span class="bracket">{</span><span class="node-ellipsis show"> … }</span>${comma}`
+    } else {
+      html += `<span class="fold-btn" data-row="${index}" title="折叠/展开">−</span><span class="bracket">{</span>`
+    }
+  }
+  return `<div class="tree-row">${html}</div>`
+}
+
+/**
+ * 切换节点折叠状态
+ */
+function toggleTreeRow(index) {
+  const row = structureTree.rows[index]
+  if (!row || row.kind !== 'open') return
 
-  return `interface ${interfaceName} ${content}`
+  if (collapsedTreePaths.has(row.path)) collapsedTreePaths.delete(row.path)
+  else collapsedTreePaths.add(row.path)
+  updateVisibleTreeRows()
 }
 
 // ==================== 历史记录 ====================
 
 /**
  * 保存到历史记录
+ * query 为 { expression, language, view }，view 区分查询结果视图（query）与提取视图（extract）；
+ * options 为执行时的选项取值（含输出格式），回放时先还原，保证得到同一结果
  */
-async function saveToHistory(input, output = '') {
+async function saveToHistory(input, output = '', query = null, options = null) {
   const history = historyCache || await loadStorage(HISTORY_KEY, [])
   
   // 限制单条记录大小（chrome.storage.local 有 5MB 配额，100KB 每条完全够用）
@@ -863,7 +1048,9 @@ async function saveToHistory(input, output = '') {
     preview: input.slice(0, 60).replace(/\s+/g, ' '),
     time: new Date().toLocaleString(),
     truncated: input.length > maxInputLength,
-    output
+    output,
+    query,
+    options
   }
   
   history.unshift(item)
@@ -874,6 +1061,20 @@ async function saveToHistory(input, output = '') {
   renderHistory()
 }
 
+/**
+ * 历史记录中保存的选项：提取、代码生成与查询相关的取值，不含对比页签的选项
+ */
+function getHistoryOptions() {
+  return Object.fromEntries(Object.entries(collectOptionValues()).filter(([key]) => !key.startsWith('compare')))
+}
+
+/**
+ * 历史记录中保存的查询，未填写查询时为 null
+ */
+function getHistoryQuery(options, view) {
+  return options.query ? { expression: options.query, language: options.queryLanguage, view } : null
+}
+
 /**
  * 渲染历史记录
  */
@@ -894,6 +1095,7 @@ function renderHistory() {
   elements.historyList.innerHTML = history.map(item => `
     <div class="history-item" data-id="${item.id}">
       <div class="history-item-title">${escapeHtml((item.preview || item.input.slice(0, 50)))}...</div>
+      ${item.query ? `<div class="history-item-query">${escapeHtml(item.query.expression)}</div>` : ''}
       <div class="history-item-time">${item.time}</div>
     </div>
   `).join('')
@@ -916,13 +1118,27 @@ function loadHistoryItem(id) {
   if (!item) return
 
   switchTab('extract')
+  // 还原保存时的选项与输出格式，旧条目没有记录时沿用当前选项
+  if (item.options) {
+    applyOptionValues({ ...collectOptionValues(), ...item.options })
+    saveOptions()
+  }
   elements.jsonInput.value = item.input
+  elements.queryInput.value = item.query ? item.query.expression : ''
+  if (item.query) elements.queryLanguage.value = item.query.language
+  updateQueryPlaceholder()
   elements.historyPanel.classList.remove('show')
 
+  // 带查询的条目重新执行，还原查询结果或提取视图
+  if (item.query && !item.truncated) {
+    setTimeout(() => (item.query.view === 'query' ? elements.queryBtn : elements.extractBtn).click(), 50)
+    return
+  }
+
   // 有已保存的 output 直接渲染，无需重新提取
   if (item.output) {
     const outputLines = item.output.split(String.fromCharCode(10)).length
-    elements.output.textContent = item.output
+    renderTextOutput(escapeHtml(item.output))
     elements.outputStats.textContent = `${outputLines} 行`
     structureResult = null
     updateStatus('历史记录')
@@ -973,15 +1189,44 @@ async function initTheme() {
  * 保存设置选项
  */
 async function saveOptions() {
-  const options = {
+  await saveStorage(OPTIONS_KEY, collectOptionValues())
+}
+
+/**
+ * 读取选项面板中各控件的取值，用于持久化与历史记录
+ */
+function collectOptionValues() {
+  return {
     showArrayLength: elements.showArrayLength.checked,
     displayMode: elements.showSampleValue.checked ? 'showSample' : 'keysOnly',
     compactMode: elements.compactMode.checked,
     sortKeys: elements.sortKeys.checked,
+    tolerantParse: elements.tolerantParse.checked,
     maxDepth: elements.maxDepth.value,
-    outputFormat: elements.outputFormat.value
+    arraySampleSize: elements.arraySampleSize.value,
+    enumThreshold: elements.enumThreshold.value,
+    outputFormat: elements.outputFormat.value,
+    tsStyle: elements.tsStyle.value,
+    tsDeclaration: elements.tsDeclaration.value,
+    tsEnumStyle: elements.tsEnumStyle.value,
+    rootName: elements.rootName.value.trim(),
+    javaStyle: elements.javaStyle.value,
+    jvmAnnotation: elements.jvmAnnotation.value,
+    pythonStyle: elements.pythonStyle.value,
+    openapiFormat: elements.openapiFormat.value,
+    mockCount: elements.mockCount.value,
+    mockArrayMin: elements.mockArrayMin.value,
+    mockArrayMax: elements.mockArrayMax.value,
+    mockSeed: elements.mockSeed.value.trim(),
+    queryLanguage: elements.queryLanguage.value,
+    compareMode: elements.compareMode.value,
+    compareAutoKey: elements.compareAutoKey.checked,
+    compareArrayKeys: elements.compareArrayKeys.value.trim(),
+    compareIgnoreRules: elements.compareIgnoreRules.value.trim(),
+    compareIgnoreOrder: elements.compareIgnoreOrder.checked,
+    compareNullAsMissing: elements.compareNullAsMissing.checked,
+    compareTolerance: elements.compareTolerance.value
   }
-  await saveStorage(OPTIONS_KEY, options)
 }
 
 /**
@@ -989,69 +1234,93 @@ async function saveOptions() {
  */
 async function loadOptions() {
   const options = await loadStorage(OPTIONS_KEY, null)
-  if (options) {
-    elements.showArrayLength.checked = options.showArrayLength ?? true
-
-    // 处理单选按钮组
-    const displayMode = options.displayMode ?? 'keysOnly'
-    if (displayMode === 'showSample') {
-      elements.showSampleValue.checked = true
-      elements.keysOnly.checked = false
-    } else {
-      elements.showSampleValue.checked = false
-      elements.keysOnly.checked = true
-    }
-
-    elements.compactMode.checked = options.compactMode ?? false
-    elements.sortKeys.checked = options.sortKeys ?? false
-    elements.maxDepth.value = options.maxDepth ?? '0'
-    elements.outputFormat.value = options.outputFormat ?? 'structure'
-  }
+  if (options) applyOptionValues(options)
+  else updateOptionStates()
 }
 
-// ==================== URL 参数解析 ====================
-
 /**
- * 从 URL 中提取查询参数字符串
- * 支持标准 URL 和 Hash 路由（如 /#/path?key=value）
+ * 把选项取值写回各控件，缺少的项使用默认值
  */
-function extractQueryString(urlStr) {
-  // Hash 路由中的参数（优先）
-  const hashIdx = urlStr.indexOf('#')
-  if (hashIdx !== -1) {
-    const hashPart = urlStr.slice(hashIdx + 1)
-    const qIdx = hashPart.indexOf('?')
-    if (qIdx !== -1) {
-      return hashPart.slice(qIdx + 1)
-    }
-  }
-  // 标准 query string
-  const qIdx = urlStr.indexOf('?')
-  if (qIdx !== -1) {
-    return urlStr.slice(qIdx + 1)
-  }
-  return ''
+function applyOptionValues(options) {
+  elements.showArrayLength.checked = options.showArrayLength ?? true
+
+  // 处理单选按钮组
+  const displayMode = options.displayMode ?? 'keysOnly'
+  if (displayMode === 'showSample') {
+    elements.showSampleValue.checked = true
+    elements.keysOnly.checked = false
+  } else {
+    elements.showSampleValue.checked = false
+    elements.keysOnly.checked = true
+  }
+
+  elements.compactMode.checked = options.compactMode ?? false
+  elements.sortKeys.checked = options.sortKeys ?? false
+  elements.tolerantParse.checked = options.tolerantParse ?? true
+  elements.maxDepth.value = options.maxDepth ?? '0'
+  elements.arraySampleSize.value = options.arraySampleSize ?? '1000'
+  elements.enumThreshold.value = options.enumThreshold ?? '0'
+  elements.outputFormat.value = options.outputFormat ?? 'structure'
+  elements.tsStyle.value = options.tsStyle ?? 'inline'
+  elements.tsDeclaration.value = options.tsDeclaration ?? 'interface'
+  elements.tsEnumStyle.value = options.tsEnumStyle ?? 'union'
+  elements.rootName.value = options.rootName ?? ''
+  elements.javaStyle.value = options.javaStyle ?? 'pojo'
+  elements.jvmAnnotation.value = options.jvmAnnotation ?? 'none'
+  elements.pythonStyle.value = options.pythonStyle ?? 'dataclass'
+  elements.openapiFormat.value = options.openapiFormat ?? 'yaml'
+  elements.mockCount.value = options.mockCount ?? '1'
+  elements.mockArrayMin.value = options.mockArrayMin ?? '1'
+  elements.mockArrayMax.value = options.mockArrayMax ?? '3'
+  elements.mockSeed.value = options.mockSeed ?? ''
+  elements.queryLanguage.value = options.queryLanguage ?? 'jsonpath'
+  elements.compareMode.value = options.compareMode ?? 'structure'
+  elements.compareAutoKey.checked = options.compareAutoKey ?? true
+  elements.compareArrayKeys.value = options.compareArrayKeys ?? ''
+  elements.compareIgnoreRules.value = options.compareIgnoreRules ?? ''
+  elements.compareIgnoreOrder.checked = options.compareIgnoreOrder ?? false
+  elements.compareNullAsMissing.checked = options.compareNullAsMissing ?? false
+  elements.compareTolerance.value = options.compareTolerance ?? '0'
+  updateOptionStates()
+}
+
+/**
+ * 按选项取值刷新依赖它们的界面状态
+ */
+function updateOptionStates() {
+  updateFormatOptions()
+  updateQueryPlaceholder()
+  updateCompareModeState()
+}
+
+/**
+ * 按当前输出格式显示对应的专属选项
+ */
+function updateFormatOptions() {
+  const format = elements.outputFormat.value
+  document.querySelectorAll('.format-options').forEach(row => {
+    row.hidden = !row.dataset.formats.split(' ').includes(format)
+  })
 }
 
 /**
- * 解析查询参数列表
+ * 结构模式不报告数组元素顺序，禁用「忽略数组顺序」
  */
-function parseUrlParams(urlStr) {
-  const qs = extractQueryString(urlStr.trim())
-  if (!qs) return []
+function updateCompareModeState() {
+  elements.compareIgnoreOrder.disabled = elements.compareMode.value !== 'value'
+}
 
-  return qs.split('&').map((pair, index) => {
-    const eqIdx = pair.indexOf('=')
-    const rawKey = eqIdx === -1 ? pair : pair.slice(0, eqIdx)
-    const raw = eqIdx === -1 ? '' : pair.slice(eqIdx + 1)
-    let key = rawKey
-    let decoded = raw
-    try { key = decodeURIComponent(rawKey.replace(/\+/g, '%20')) } catch (e) { /* 保留原始值 */ }
-    try { decoded = decodeURIComponent(raw.replace(/\+/g, '%20')) } catch (e) { /* 保留原始值 */ }
-    return { index: index + 1, key, raw, decoded }
-  }).filter(p => p.key !== '')
+/**
+ * 查询框示例随查询语言切换
+ */
+function updateQueryPlaceholder() {
+  elements.queryInput.placeholder = elements.queryLanguage.value === 'jmespath'
+    ? 'data.list[*].user（留空则处理整个 JSON）'
+    : '$.data.list[*].user（留空则处理整个 JSON）'
 }
 
+// ==================== URL 参数解析 ====================
+
 /**
  * 提取编辑器中有效的 URL 参数
  */
@@ -1173,8 +1442,11 @@ function updateUrlParamsStats(params) {
 
 /**
  * 获取当前激活标签页的 URL
+ * DevTools 面板中读取被调试页面的地址
  */
 function getCurrentTabUrl() {
+  if (isDevtoolsPanel) return getInspectedWindowUrl()
+
   return new Promise((resolve, reject) => {
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
       if (chrome.runtime.lastError) {
@@ -1253,6 +1525,208 @@ function renderUrlParams(params) {
     `}`
 }
 
+/**
+ * 获取 DevTools 被调试页面的 URL
+ */
+function getInspectedWindowUrl() {
+  return new Promise((resolve, reject) => {
+    chrome.devtools.inspectedWindow.eval('location.href', (result, exceptionInfo) => {
+      if (exceptionInfo || typeof result !== 'string') {
+        reject(new Error('当前页面地址不可读取'))
+        return
+      }
+      resolve(result)
+    })
+  })
+}
+
+// ==================== DevTools 网络请求 ====================
+
+/**
+ * 判断请求是否为 XHR / Fetch
+ */
+function isXhrNetworkRequest(harEntry) {
+  const resourceType = harEntry._resourceType
+  return resourceType === 'xhr' || resourceType === 'fetch'
+}
+
+/**
+ * 判断请求是否为 JSON 类型的 XHR / Fetch
+ */
+function isJsonNetworkRequest(harEntry) {
+  const mimeType = harEntry.response?.content?.mimeType || ''
+  return isXhrNetworkRequest(harEntry) && /json/i.test(mimeType)
+}
+
+/**
+ * 未声明为 JSON 的 XHR / Fetch 响应是否需要读取内容再判断
+ * 只有缺少类型或声明为纯文本、脚本、HTML 的响应才可能是 JSON，其余类型不读取内容
+ */
+function isJsonNetworkCandidate(harEntry) {
+  const mimeType = (harEntry.response?.content?.mimeType || '').split(';')[0].trim()
+  return isXhrNetworkRequest(harEntry) && /^(?:|text\/(?:plain|javascript|html)|application\/(?:x-)?javascript)$/i.test(mimeType)
+}
+
+/**
+ * 响应内容是否像 JSON 对象或数组：只看首尾字符，避免在界面线程解析大响应，实际解析在发送后由 Worker 完成
+ */
+function looksLikeJsonText(text) {
+  const trimmed = text.trim()
+  return (trimmed.startsWith('{') && trimmed.endsWith('}')) || (trimmed.startsWith('[') && trimmed.endsWith(']'))
+}
+
+/**
+ * 请求的开始时间，缺失时按记录时间
+ */
+function getNetworkStartTime(harEntry) {
+  return Date.parse(harEntry.startedDateTime) || Date.now()
+}
+
+/**
+ * 记录一条网络请求；响应类型不是 JSON 时读取内容，看起来是 JSON 才记录
+ * 列表按请求开始时间排序；读取内容期间页面跳转（列表被清空）的请求直接丢弃，已记录过的请求不重复记录
+ */
+async function addNetworkEntry(harEntry) {
+  const generation = networkGeneration
+  if (!isJsonNetworkRequest(harEntry)) {
+    if (!isJsonNetworkCandidate(harEntry)) return
+    try {
+      if (!looksLikeJsonText(await getHarEntryContent(harEntry))) return
+    } catch (e) {
+      return
+    }
+    if (generation !== networkGeneration) return
+  }
+
+  const entry = {
+    id: ++networkEntrySeq,
+    method: harEntry.request?.method || 'GET',
+    url: harEntry.request?.url || '',
+    status: harEntry.response?.status || 0,
+    size: harEntry.response?.content?.size || 0,
+    startedAt: getNetworkStartTime(harEntry),
+    harEntry
+  }
+  const isSameRequest = item => item.startedAt === entry.startedAt && item.url === entry.url && item.method === entry.method
+  if (harEntry.startedDateTime && networkEntries.some(isSameRequest)) return
+
+  let index = networkEntries.length
+  while (index > 0 && networkEntries[index - 1].startedAt > entry.startedAt) index--
+  networkEntries.splice(index, 0, entry)
+  if (networkEntries.length > NETWORK_MAX_ENTRIES) networkEntries.shift()
+
+  renderNetworkList()
+}
+
+/**
+ * 读取请求的响应内容
+ */
+function getHarEntryContent(harEntry) {
+  return new Promise((resolve, reject) => {
+    harEntry.getContent((content, encoding) => {
+      if (content === null || content === undefined) {
+        reject(new Error('无法读取响应内容'))
+        return
+      }
+
+      if (encoding === 'base64') {
+        const bytes = Uint8Array.from(atob(content), char => char.charCodeAt(0))
+        resolve(new TextDecoder('utf-8').decode(bytes))
+        return
+      }
+
+      resolve(content)
+    })
+  })
+}
+
+/**
+ * 格式化响应大小
+ */
+function formatNetworkSize(size) {
+  if (size < 1024) return `${size} B`
+  return `${Math.round(size / 1024)} KB`
+}
+
+/**
+ * 渲染网络请求列表
+ */
+function renderNetworkList() {
+  const filter = elements.networkFilter.value.trim().toLowerCase()
+  const entries = filter
+    ? networkEntries.filter(entry => entry.url.toLowerCase().includes(filter))
+    : networkEntries
+
+  elements.networkStats.textContent = filter
+    ? `${entries.length} / ${networkEntries.length} 个请求`
+    : `${networkEntries.length} 个请求`
+
+  if (entries.length === 0) {
+    const tip = networkEntries.length === 0 ? '等待网络请求…（刷新页面或触发接口调用）' : '没有匹配的请求'
+    elements.networkList.innerHTML = `<div class="network-placeholder">${tip}</div>`
+    return
+  }
+
+  // 最新的请求显示在最上方
+  const rows = entries.slice().reverse().map(entry => `
+    <tr class="network-row" data-entry-id="${entry.id}">
+      <td class="network-method">${escapeHtml(entry.method)}</td>
+      <td class="network-status${entry.status >= 400 || entry.status === 0 ? ' error' : ''}">${entry.status || '-'}</td>
+      <td class="network-url" title="${escapeHtml(entry.url)}">${escapeHtml(entry.url)}</td>
+      <td class="network-size">${formatNetworkSize(entry.size)}</td>
+      <td>
+        <div class="param-action-group">
+          <button class="param-mini-btn" data-network-action="extract" title="发送到结构提取">提取</button>
+          <button class="param-mini-btn" data-network-action="A" title="发送到对比左侧">左侧</button>
+          <button class="param-mini-btn" data-network-action="B" title="发送到对比右侧">右侧</button>
+        </div>
+      </td>
+    </tr>`).join('')
+
+  elements.networkList.innerHTML = `
+    <table class="network-table">
+      <thead>
+        <tr>
+          <th>方法</th>
+          <th>状态</th>
+          <th>URL</th>
+          <th>大小</th>
+          <th>操作</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `
+}
+
+/**
+ * 清空网络请求列表
+ */
+function clearNetworkEntries() {
+  networkEntries = []
+  networkGeneration++
+  renderNetworkList()
+}
+
+/**
+ * 初始化 DevTools 网络请求捕获
+ */
+function initDevtoolsPanel() {
+  if (!isDevtoolsPanel) return
+
+  document.body.classList.add('devtools-panel')
+  elements.networkTab.hidden = false
+
+  chrome.devtools.network.onRequestFinished.addListener(addNetworkEntry)
+  chrome.devtools.network.onNavigated.addListener(() => {
+    if (!elements.networkPreserveLog.checked) clearNetworkEntries()
+  })
+  // 补录面板打开前已完成的请求
+  chrome.devtools.network.getHAR(har => (har?.entries || []).forEach(addNetworkEntry))
+
+  renderNetworkList()
+}
+
 // ==================== 选项卡切换 ====================
 
 /**
@@ -1281,7 +1755,7 @@ function switchTab(tabName) {
 // ==================== 事件绑定 ====================
 
 // 提取按钮
-elements.extractBtn.addEventListener('click', () => {
+elements.extractBtn.addEventListener('click', async () => {
   const inputText = elements.jsonInput.value.trim()
   if (!inputText) {
     showToast('请先粘贴 JSON 数据', 'error')
@@ -1289,43 +1763,138 @@ elements.extractBtn.addEventListener('click', () => {
   }
 
   const startTime = performance.now()
-  updateStatus('处理中...')
+  const options = getOptions()
+  const optionValues = getHistoryOptions()
 
   try {
-    const jsonData = JSON.parse(inputText)
-    const options = getOptions()
-    const stats = getJsonStats(jsonData)
-    elements.inputStats.textContent = `${stats.keys} 个键 · ${stats.depth} 层`
-
-    let outputHtml, outputText
+    const result = await runMainTask('extract', inputText, options)
+    const { documents, repairs } = result
+    elements.inputStats.textContent = result.stats
+    structureResult = { type: 'extract', text: result.text }
+
+    const errorsHtml = documents ? formatDocumentErrors(documents.errors) : ''
+    // 紧凑结构只有一行，按输出区宽度折行后虚拟渲染；代码输出按原有换行逐行渲染
+    if (result.rows) renderStructureTree(result.rows, errorsHtml)
+    else renderTextOutput(result.html, { headerHtml: errorsHtml, wrap: !CODE_OUTPUT_FORMATS[options.format] })
+    elements.outputStats.textContent = `${documents ? `${documents.count} 个文档 · ` : ''}${result.text.split(String.fromCharCode(10)).length} 行`
+    elements.searchInput.value = ''
 
-    if (options.format === 'typescript') {
-      outputHtml = formatTypeScript(jsonData)
-      outputText = typeScriptToText(jsonData)
-      structureResult = { type: 'typescript', data: jsonData }
+    const processTime = (performance.now() - startTime).toFixed(1)
+    updateStatus(`完成 (${processTime}ms)`)
+    
+    saveToHistory(inputText, result.text, getHistoryQuery(options, 'extract'), optionValues)
+    if (documents && documents.errors.length > 0) {
+      showToast(`已合并 ${documents.count} 个文档，${documents.errors.length} 处解析失败`, 'error')
     } else {
-      structureResult = { type: 'structure', data: extractStructure(jsonData, options) }
-      outputHtml = formatOutput(structureResult.data, 0, options.compact)
-      outputText = structureToText(structureResult.data, 0, options.compact)
+      showToast(repairs.length > 0 ? `提取成功（已自动修复：${repairs.join('、')}）` : '提取成功！')
     }
+  } catch (e) {
+    if (e.cancelled) return
+    // 查询表达式错误或无匹配时没有行列信息
+    setOutputHtml(e.line ? formatParseError(e, inputText) : `<span class="output-error">${escapeHtml(e.message)}</span>`)
+    highlightInputError(elements.jsonInput, e)
+    showToast(e.line ? 'JSON 格式错误' : '提取失败', 'error')
+    updateStatus('错误')
+    structureResult = null
+  }
+})
+
+// 生成 Mock 按钮
+elements.mockBtn.addEventListener('click', async () => {
+  const inputText = elements.jsonInput.value.trim()
+  if (!inputText) {
+    showToast('请先粘贴 JSON 数据或 TypeScript 类型', 'error')
+    return
+  }
+
+  const startTime = performance.now()
+
+  try {
+    const result = await runMainTask('mock', inputText, getOptions())
+
+    renderTextOutput(result.html)
+    elements.outputStats.textContent = `${result.count} 条 · ${result.text.split(String.fromCharCode(10)).length} 行`
+    elements.searchInput.value = ''
+    structureResult = { type: 'mock', text: result.text }
+
+    const processTime = (performance.now() - startTime).toFixed(1)
+    // 种子在状态栏展示以便复现
+    updateStatus(`完成 (${processTime}ms) · 种子 ${result.seed}`)
+    showToast(result.warnings.length > 0 ? `已生成 ${result.count} 条 Mock 数据（${result.warnings.join('；')}）` : `已生成 ${result.count} 条 Mock 数据`)
+  } catch (e) {
+    if (e.cancelled) return
+    setOutputHtml(`<span class="output-error">${escapeHtml(e.message)}</span>`)
+    showToast('无法生成 Mock 数据', 'error')
+    updateStatus('错误')
+    structureResult = null
+  }
+})
 
-    elements.output.innerHTML = outputHtml
-    elements.outputStats.textContent = `${outputText.split(String.fromCharCode(10)).length} 行`
+// 查询按钮
+elements.queryBtn.addEventListener('click', async () => {
+  const inputText = elements.jsonInput.value.trim()
+  const options = getOptions()
+  const optionValues = getHistoryOptions()
+  if (!inputText) {
+    showToast('请先粘贴 JSON 数据', 'error')
+    return
+  }
+  if (!options.query) {
+    showToast('请输入查询表达式', 'error')
+    elements.queryInput.focus()
+    return
+  }
+
+  const startTime = performance.now()
+
+  try {
+    const result = await runMainTask('query', inputText, options)
+    elements.inputStats.textContent = result.stats
     elements.searchInput.value = ''
 
+    if (result.count === 0) {
+      setOutputHtml('<span class="output-error">没有匹配结果</span>')
+      elements.outputStats.textContent = '匹配 0 个'
+      structureResult = null
+      updateStatus('无匹配')
+      showToast('没有匹配结果', 'error')
+      return
+    }
+
+    renderTextOutput(result.html)
+    elements.outputStats.textContent = `匹配 ${result.count} 个 · ${result.text.split(String.fromCharCode(10)).length} 行`
+    structureResult = { type: 'query', text: result.text }
+
     const processTime = (performance.now() - startTime).toFixed(1)
     updateStatus(`完成 (${processTime}ms)`)
-    
-    saveToHistory(inputText, outputText)
-    showToast('提取成功！')
+    saveToHistory(inputText, result.text, getHistoryQuery(options, 'query'), optionValues)
+    showToast(`匹配 ${result.count} 个`)
   } catch (e) {
-    elements.output.innerHTML = `<span class="output-error">JSON 解析错误：${escapeHtml(e.message)}</span>`
-    showToast('JSON 格式错误', 'error')
+    if (e.cancelled) return
+    setOutputHtml(e.line ? formatParseError(e, inputText) : `<span class="output-error">${escapeHtml(e.message)}</span>`)
+    highlightInputError(elements.jsonInput, e)
+    showToast(e.line ? 'JSON 格式错误' : '查询失败', 'error')
     updateStatus('错误')
     structureResult = null
   }
 })
 
+// 查询框回车执行查询
+elements.queryInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    e.preventDefault()
+    elements.queryBtn.click()
+  }
+})
+
+// 取消按钮
+elements.cancelBtn.addEventListener('click', () => {
+  cancelWorkerTask()
+  setTaskBusy(false)
+  updateStatus('已取消')
+  showToast('已取消', '')
+})
+
 // 复制按钮
 elements.copyBtn.addEventListener('click', async () => {
   if (!structureResult) {
@@ -1334,16 +1903,7 @@ elements.copyBtn.addEventListener('click', async () => {
   }
 
   try {
-    const options = getOptions()
-    let text
-    
-    if (structureResult.type === 'typescript') {
-      text = typeScriptToText(structureResult.data)
-    } else {
-      text = structureToText(structureResult.data, 0, options.compact)
-    }
-
-    await navigator.clipboard.writeText(text)
+    await navigator.clipboard.writeText(structureResult.text)
     showToast('已复制到剪贴板！')
   } catch (e) {
     showToast('复制失败', 'error')
@@ -1356,14 +1916,7 @@ elements.pasteBtn.addEventListener('click', async () => {
     const text = await navigator.clipboard.readText()
     elements.jsonInput.value = text
     
-    try {
-      const data = JSON.parse(text)
-      const stats = getJsonStats(data)
-      elements.inputStats.textContent = `${stats.keys} 个键 · ${stats.depth} 层`
-    } catch {
-      elements.inputStats.textContent = ''
-    }
-    
+    updateInputStats()
     showToast('已粘贴')
   } catch (e) {
     showToast('无法访问剪贴板', 'error')
@@ -1371,7 +1924,7 @@ elements.pasteBtn.addEventListener('click', async () => {
 })
 
 // 格式化按钮
-elements.formatBtn.addEventListener('click', () => {
+elements.formatBtn.addEventListener('click', async () => {
   const inputText = elements.jsonInput.value.trim()
   if (!inputText) {
     showToast('请先粘贴 JSON 数据', 'error')
@@ -1379,19 +1932,44 @@ elements.formatBtn.addEventListener('click', () => {
   }
 
   try {
-    const jsonData = JSON.parse(inputText)
-    elements.jsonInput.value = JSON.stringify(jsonData, null, 2)
-    showToast('格式化成功！')
+    const { text, repairs, documents } = await runMainTask('format', inputText, getOptions())
+
+    if (documents) {
+      // 多文档保持每行一个文档；有解析失败的行时不改写，避免丢失内容
+      if (documents.errors.length > 0) {
+        highlightInputError(elements.jsonInput, documents.errors[0])
+        showToast(`第 ${documents.errors[0].line} 行解析失败，请先修正`, 'error')
+        updateStatus('错误')
+        return
+      }
+      elements.jsonInput.value = text
+      updateInputStats()
+      updateStatus('就绪')
+      showToast(`已规范为 NDJSON（${documents.count} 个文档）`)
+      return
+    }
+
+    elements.jsonInput.value = text
+    updateInputStats()
+    updateStatus('就绪')
+    showToast(repairs.length > 0 ? `已修复并转换为标准 JSON：${repairs.join('、')}` : '格式化成功！')
   } catch (e) {
-    showToast('JSON 格式错误', 'error')
+    if (e.cancelled) return
+    highlightInputError(elements.jsonInput, e)
+    updateStatus('错误')
+    showToast(e.line ? `JSON 格式错误：第 ${e.line} 行，第 ${e.column} 列` : 'JSON 格式错误', 'error')
   }
 })
 
 // 清空按钮 - 根据当前页签清空对应内容
 elements.clearBtn.addEventListener('click', () => {
   if (currentTab === 'extract') {
+    cancelWorkerTask()
+    setTaskBusy(false)
     elements.jsonInput.value = ''
-    elements.output.innerHTML = ''
+    setOutputHtml('')
+    collapsedTreePaths.clear()
+    elements.queryInput.value = ''
     elements.inputStats.textContent = ''
     elements.outputStats.textContent = ''
     structureResult = null
@@ -1400,10 +1978,13 @@ elements.clearBtn.addEventListener('click', () => {
     setCompareInputValue('B', '')
     elements.compareOutput.innerHTML = ''
     compareRenderCache = null
+    resetAlignedView()
   } else if (currentTab === 'urlParams') {
     elements.urlInput.value = ''
     elements.urlParamsResult.innerHTML = '<div class="url-params-placeholder">请输入 URL 后点击「解析」</div>'
     elements.urlParamsStats.textContent = ''
+  } else if (currentTab === 'network') {
+    clearNetworkEntries()
   }
   updateStatus('就绪')
 })
@@ -1562,6 +2143,47 @@ elements.urlParamsResult.addEventListener('input', (e) => {
   updateUrlParamsStats(collectUrlParamsFromEditor())
 })
 
+// ==================== DevTools 网络请求事件 ====================
+
+// 过滤请求
+elements.networkFilter.addEventListener('input', renderNetworkList)
+
+// 清空请求列表
+elements.networkClearBtn.addEventListener('click', clearNetworkEntries)
+
+// 将响应发送到提取或对比
+elements.networkList.addEventListener('click', async (e) => {
+  const actionBtn = e.target.closest('[data-network-action]')
+  if (!actionBtn) return
+
+  const row = actionBtn.closest('.network-row')
+  const entry = networkEntries.find(item => item.id === Number(row?.dataset.entryId))
+  if (!entry) return
+
+  let content
+  try {
+    content = await getHarEntryContent(entry.harEntry)
+  } catch (err) {
+    showToast(err.message || '读取响应失败', 'error')
+    return
+  }
+
+  const action = actionBtn.dataset.networkAction
+
+  if (action === 'extract') {
+    switchTab('extract')
+    elements.jsonInput.value = content
+    elements.extractBtn.click()
+    return
+  }
+
+  switchTab('compare')
+  setCompareInputValue(action, content)
+  compressCompareInputs()
+  updateStatus(`已发送到${action === 'A' ? '左侧' : '右侧'}`)
+  showToast(`已发送到对比${action === 'A' ? '左侧' : '右侧'}`)
+})
+
 // 设置按钮
 elements.settingsBtn.addEventListener('click', () => {
   elements.optionsPanel.classList.toggle('show')
@@ -1595,8 +2217,8 @@ document.querySelectorAll('.tab').forEach(tab => {
   tab.addEventListener('click', () => switchTab(tab.dataset.tab))
 })
 
-// 对比按钮
-elements.compareBtn.addEventListener('click', () => {
+// 对比按钮：两侧输入在后台线程解析，对比在界面线程进行
+elements.compareBtn.addEventListener('click', async () => {
   const textA = getCompareInputValue('A').trim()
   const textB = getCompareInputValue('B').trim()
 
@@ -1605,20 +2227,52 @@ elements.compareBtn.addEventListener('click', () => {
     return
   }
 
+  const options = getOptions()
+  let compareOptions
   try {
-    const jsonA = JSON.parse(textA)
-    const jsonB = JSON.parse(textB)
-    const result = compareStructures(jsonA, jsonB)
-    elements.compareOutput.innerHTML = formatCompareResult(result)
+    compareOptions = getCompareOptions(options)
+  } catch (e) {
+    showToast(e.message, 'error')
+    return
+  }
+
+  const startTime = performance.now()
+
+  try {
+    const { documents: [jsonA, jsonB] } = await runMainTask('compare', { A: textA, B: textB }, options)
+    const result = compareDocuments(jsonA, jsonB, compareOptions)
+    elements.compareOutput.innerHTML = formatCompareResult(result, compareOptions)
+    alignedView = null
+    if (elements.compareView.value === 'aligned') renderAlignedView()
     compressCompareInputs()
+    updateStatus(`完成 (${(performance.now() - startTime).toFixed(1)}ms)`)
     showToast('对比完成！')
   } catch (e) {
+    if (e.cancelled) return
+    updateStatus('错误')
     compareRenderCache = null
-    elements.compareOutput.innerHTML = `<div class="diff-error">JSON 解析错误：${escapeHtml(e.message)}</div>`
+    resetAlignedView()
+    setCompareView('list')
+    elements.compareOutput.innerHTML = `<div class="diff-error">${escapeHtml(e.message)}</div>`
     showToast('JSON 格式错误', 'error')
   }
 })
 
+// 导出对比结果
+elements.compareExport.addEventListener('change', () => {
+  const format = elements.compareExport.value
+  elements.compareExport.value = ''
+  if (format) exportCompareResult(format)
+})
+
+// 并排视图
+elements.compareView.addEventListener('change', () => setCompareView(elements.compareView.value))
+elements.alignedPrevBtn.addEventListener('click', () => jumpToAlignedDiff(-1))
+elements.alignedNextBtn.addEventListener('click', () => jumpToAlignedDiff(1))
+elements.alignedLeft.addEventListener('scroll', () => syncAlignedScroll(elements.alignedLeft, elements.alignedRight))
+elements.alignedRight.addEventListener('scroll', () => syncAlignedScroll(elements.alignedRight, elements.alignedLeft))
+new ResizeObserver(scheduleAlignedRender).observe(elements.alignedLeft)
+
 // 互换左右 JSON
 elements.compareSwapBtn.addEventListener('click', () => {
   const textA = getCompareInputValue('A')
@@ -1633,12 +2287,19 @@ elements.compareSwapBtn.addEventListener('click', () => {
   }
 
   compareRenderCache = null
+  resetAlignedView()
   elements.compareOutput.innerHTML = ''
   showToast('已互换左右 JSON')
 })
 
-// 分批加载对比结果
+// 分批加载对比结果；点击差异条目在并排视图中定位
 elements.compareOutput.addEventListener('click', (e) => {
+  const diffRow = e.target.closest('.diff-line-row[data-path]')
+  if (diffRow && compareRenderCache) {
+    scrollAlignedToPath(diffRow.dataset.path)
+    return
+  }
+
   const loadMoreBtn = e.target.closest('.diff-load-more')
   if (!loadMoreBtn || !compareRenderCache) return
 
@@ -1675,19 +2336,8 @@ document.addEventListener('keydown', (e) => {
 
 // 输入框内容变化
 elements.jsonInput.addEventListener('input', () => {
-  const text = elements.jsonInput.value.trim()
-  if (!text) {
-    elements.inputStats.textContent = ''
-    return
-  }
-
-  try {
-    const data = JSON.parse(text)
-    const stats = getJsonStats(data)
-    elements.inputStats.textContent = `${stats.keys} 个键 · ${stats.depth} 层`
-  } catch {
-    elements.inputStats.textContent = '无效 JSON'
-  }
+  elements.jsonInput.classList.remove('input-error')
+  scheduleInputStats()
 })
 
 // 点击外部关闭历史面板（使用捕获阶段确保先于其他事件）
@@ -1705,27 +2355,35 @@ document.addEventListener('click', (e) => {
 
 // 选项变化时保存
 ;[elements.showArrayLength, elements.showSampleValue, elements.keysOnly,
-  elements.compactMode, elements.sortKeys, elements.maxDepth, elements.outputFormat].forEach(el => {
+  elements.compactMode, elements.sortKeys, elements.tolerantParse, elements.maxDepth, elements.arraySampleSize, elements.enumThreshold,
+  elements.outputFormat, elements.tsStyle, elements.tsDeclaration, elements.tsEnumStyle, elements.rootName,
+  elements.javaStyle, elements.jvmAnnotation, elements.pythonStyle, elements.openapiFormat, elements.mockCount,
+  elements.mockArrayMin, elements.mockArrayMax, elements.mockSeed, elements.queryLanguage,
+  elements.compareMode, elements.compareAutoKey, elements.compareArrayKeys, elements.compareIgnoreRules,
+  elements.compareIgnoreOrder, elements.compareNullAsMissing, elements.compareTolerance].forEach(el => {
   el.addEventListener('change', saveOptions)
 })
 
+elements.outputFormat.addEventListener('change', updateFormatOptions)
+elements.queryLanguage.addEventListener('change', updateQueryPlaceholder)
+elements.compareMode.addEventListener('change', updateCompareModeState)
+
 // ==================== 折叠/展开 ====================
 
 // 点击折叠按钮
 elements.output.addEventListener('click', (e) => {
   const btn = e.target.closest('.fold-btn')
-  if (!btn) return
-  const node = btn.parentElement
-  const body = node.querySelector(':scope > .node-body')
-  const close = node.querySelector(':scope > .node-close')
-  const ellipsis = node.querySelector(':scope > .node-ellipsis')
-  if (!body) return
-  const collapsed = body.classList.toggle('collapsed')
-  if (close) close.classList.toggle('collapsed', collapsed)
-  if (ellipsis) ellipsis.classList.toggle('show', collapsed)
-  btn.textContent = collapsed ? '+' : '−'
+  if (!btn || !structureTree) return
+  toggleTreeRow(parseInt(btn.dataset.row))
 })
 
+// 虚拟树随滚动与尺寸变化重绘，紧凑输出随宽度重新折行
+elements.output.addEventListener('scroll', scheduleTreeRender)
+new ResizeObserver(() => {
+  rewrapTextOutput()
+  scheduleTreeRender()
+}).observe(elements.output)
+
 // ==================== 搜索 ====================
 
 let searchTimer = null
@@ -1736,13 +2394,21 @@ elements.searchInput.addEventListener('input', () => {
 
 function applySearch() {
   const q = elements.searchInput.value.trim().toLowerCase()
-  const keys = elements.output.querySelectorAll('.key')
-  keys.forEach(el => {
-    if (q && el.textContent.toLowerCase().includes(q)) {
-      el.classList.add('search-match')
-    } else {
-      el.classList.remove('search-match')
-    }
+  // 虚拟列表只渲染可见行，记录关键字后重绘，滚动到的新行同样会高亮
+  if (structureTree) {
+    structureTree.query = q
+    renderTreeWindow()
+    return
+  }
+  markSearchMatches(elements.output, q)
+}
+
+/**
+ * 标记容器内键名包含关键字的节点
+ */
+function markSearchMatches(container, q) {
+  container.querySelectorAll('.key').forEach(el => {
+    el.classList.toggle('search-match', Boolean(q) && el.textContent.toLowerCase().includes(q))
   })
 }
 
@@ -1754,6 +2420,7 @@ function applySearch() {
   await initTheme()
   await loadOptions()
   await initHistory()
+  initDevtoolsPanel()
   // 设置选项默认不显示
   elements.optionsPanel.classList.remove('show')
 })()
@@ -0,0 +1,146 @@
+/**
+ * JSON 数据结构提取器 - 后台解析线程
+ * 解析、统计与输出生成在此执行，大体积输入时弹窗界面保持可响应
+ * 消息：{ id, action, text, options } → { id, type: 'progress' | 'result' | 'error', ... }
+ */
+
+importScripts('core.js')
+
+// ==================== 任务 ====================
+
+const WORKER_TASKS = {
+  /**
+   * 输入框实时统计
+   */
+  stats(text, options) {
+    const { data, repairs, documents } = parseJsonInput(text, options)
+    return { stats: formatInputStats(data, repairs, documents) }
+  },
+
+  /**
+   * 提取结构或生成代码（填写了查询时只处理查询结果），同时返回纯文本与高亮 HTML；
+   * 非紧凑的结构描述返回逐行数据 rows，由弹窗虚拟渲染
+   */
+  extract(text, options, progress) {
+    progress('解析 JSON', 0)
+    const { data, repairs, documents } = parseJsonInput(text, {
+      ...options,
+      onProgress: ratio => progress('解析 JSON', Math.round(ratio * 50))
+    })
+    options.multiDocument = Boolean(documents)
+
+    progress('统计', 50)
+    const stats = formatInputStats(data, repairs, documents)
+    const target = applyInputQuery(data, documents, options)
+
+    progress('生成输出', 60)
+    const codeFormat = CODE_OUTPUT_FORMATS[options.format]
+    let html = null
+    let rows = null
+    let outputText
+    if (codeFormat) {
+      outputText = codeFormat.toText(target, options)
+      progress('语法高亮', 80)
+      html = codeFormat.highlight(outputText, options)
+    } else {
+      const structure = extractStructure(target, options)
+      progress('生成输出', 80)
+      if (options.compact) html = formatOutput(structure, 0, true)
+      else rows = flattenStructureRows(structure)
+      outputText = structureToText(structure, 0, options.compact)
+    }
+
+    return { html, rows, text: outputText, stats, repairs, documents, multiDocument: options.multiDocument }
+  },
+
+  /**
+   * 执行 JSONPath / JMESPath 查询，返回匹配值
+   */
+  query(text, options, progress) {
+    progress('解析 JSON', 0)
+    const { data, repairs, documents } = parseJsonInput(text, {
+      ...options,
+      onProgress: ratio => progress('解析 JSON', Math.round(ratio * 60))
+    })
+    const stats = formatInputStats(data, repairs, documents)
+
+    progress('查询', 60)
+    // 多文档输入逐个文档查询，结果按文档顺序排列
+    const results = (documents ? data : [data]).map(doc => runJsonQuery(doc, options.query, options.queryLanguage))
+    const count = results.reduce((total, result) => total + result.count, 0)
+    const value = documents ? results.filter(result => result.count > 0).map(result => result.value) : results[0].value
+    const outputText = count > 0 ? JSON.stringify(value, null, 2) : ''
+
+    progress('语法高亮', 80)
+    return { html: highlightJson(outputText), text: outputText, count, stats }
+  },
+
+  /**
+   * 解析对比的两侧输入，texts 为 { A, B }；错误信息带上所在侧
+   */
+  compare(texts, options, progress) {
+    const documents = ['A', 'B'].map((side, index) => {
+      const stage = `解析 JSON ${side}`
+      progress(stage, index * 50)
+      try {
+        return parseJsonInput(texts[side], {
+          ...options,
+          onProgress: ratio => progress(stage, Math.round((index + ratio) * 50))
+        }).data
+      } catch (error) {
+        throw Object.assign(new Error(`JSON ${side} 解析错误：${error.message}`), { line: error.line, column: error.column, offset: error.offset })
+      }
+    })
+
+    return { documents }
+  },
+
+  /**
+   * 生成 Mock 数据；未指定种子时随机生成一个并返回，便于复现
+   */
+  mock(text, options, progress) {
+    progress('解析输入', 0)
+    const { typeInfo, warnings } = parseMockSource(text, options)
+    const seed = options.mockSeed || String(Math.floor(Math.random() * 1e9))
+
+    progress('生成数据', 50)
+    const docs = generateMockData(typeInfo, { ...options, mockSeed: seed })
+    const outputText = mockToText(docs)
+
+    progress('语法高亮', 80)
+    return { html: highlightJson(outputText), text: outputText, count: docs.length, seed, warnings }
+  },
+
+  /**
+   * 格式化输入；多文档规范为每行一个文档，有解析失败的行时不返回文本
+   */
+  format(text, options, progress) {
+    progress('解析 JSON', 0)
+    const { data, repairs, documents } = parseJsonInput(text, {
+      ...options,
+      onProgress: ratio => progress('解析 JSON', Math.round(ratio * 80))
+    })
+
+    progress('格式化', 80)
+    if (!documents) return { text: JSON.stringify(data, null, 2), repairs, documents }
+    if (documents.errors.length > 0) return { text: null, repairs, documents }
+    return { text: data.map(doc => JSON.stringify(doc)).join('\n'), repairs, documents }
+  }
+}
+
+// ==================== 消息处理 ====================
+
+self.addEventListener('message', (e) => {
+  const { id, action, text, options } = e.data
+  const progress = (stage, percent) => self.postMessage({ id, type: 'progress', stage, percent })
+
+  try {
+    const task = WORKER_TASKS[action]
+    if (!task) throw new Error(`未知任务：${action}`)
+    self.postMessage({ id, type: 'result', result: task(text, options, progress) })
+  } catch (error) {
+    // Error 对象无法完整跨线程传递，只回传错误信息与位置
+    const { message, line, column, offset } = error
+    self.postMessage({ id, type: 'error', error: { message, line, column, offset } })
+  }
+})
@@ -0,0 +1,143 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { loadCore, plain } = require('./helpers/load-core')
+
+const core = loadCore()
+
+const compare = (a, b, options = {}) => {
+  const compareOptions = core.getCompareOptions({ compareMode: 'value', ...options })
+  return plain(core.compareDocuments(a, b, compareOptions))
+}
+
+const changes = result => result.changed.map(item => [item.kind, item.path, item.valueA, item.valueB])
+
+test('结构模式只报告字段与类型变化', () => {
+  const result = compare({ a: 1, b: 'x', c: [1] }, { a: 2, b: 3, d: null }, { compareMode: 'structure' })
+  assert.deepEqual(changes(result), [['type', 'b', 'x', 3]])
+  assert.deepEqual(result.added.map(item => item.path), ['d'])
+  assert.deepEqual(result.removed.map(item => item.path), ['c'])
+})
+
+test('取值模式报告取值、数组长度与元素顺序变化', () => {
+  const result = compare({ a: 1, list: [1, 2, 3] }, { a: 2, list: [3, 1, 2, 4] })
+  assert.deepEqual(changes(result), [
+    ['value', 'a', 1, 2],
+    ['length', 'list', 3, 4],
+    ['move', 'list[2]', 2, 0]
+  ])
+  assert.deepEqual(result.added.map(item => [item.path, item.value]), [['list[3]', 4]])
+})
+
+test('忽略数组顺序时不报告移动', () => {
+  const result = compare({ list: [1, 2, 3] }, { list: [3, 1, 2] }, { compareIgnoreOrder: true })
+  assert.deepEqual(changes(result), [])
+})
+
+test('数值容差内的差异视为一致', () => {
+  assert.deepEqual(changes(compare({ price: 1.0001 }, { price: 1 }, { compareTolerance: 0.001 })), [])
+  assert.deepEqual(changes(compare({ price: 1.01 }, { price: 1 }, { compareTolerance: 0.001 })), [['value', 'price', 1.01, 1]])
+})
+
+test('null 视为缺失时，null 与缺少字段不算差异', () => {
+  const left = { a: null, b: 1 }
+  const right = { b: 1, c: null }
+  assert.deepEqual(compare(left, right).added.map(item => item.path), ['c'])
+  const result = compare(left, right, { compareNullAsMissing: true })
+  assert.deepEqual([result.added, result.removed, result.changed], [[], [], []])
+})
+
+test('数组按配置或自动识别的主键配对元素', () => {
+  const left = { list: [{ id: 1, name: 'a' }, { id: 2, name: 'b' }, { id: 3, name: 'c' }] }
+  const right = { list: [{ id: 2, name: 'B' }, { id: 1, name: 'a' }, { id: 4, name: 'd' }] }
+
+  const configured = compare(left, right, { compareArrayKeys: 'list[] -> id' })
+  assert.deepEqual(changes(configured), [['value', 'list[id=2].name', 'b', 'B'], ['move', 'list[id=2]', 1, 0]])
+  assert.deepEqual(configured.removed.map(item => item.path), ['list[id=3]'])
+  assert.deepEqual(configured.added.map(item => item.path), ['list[id=4]'])
+
+  assert.deepEqual(changes(compare(left, right, { compareAutoKey: true })), changes(configured))
+  assert.equal(compare(left, right).changed.some(item => item.path.includes('id=')), false)
+})
+
+test('结构模式下自动识别的主键需在两侧有相同取值', () => {
+  const left = { list: [{ id: 1, name: 'a' }, { id: 2, name: 'b' }] }
+  const shared = compare(left, { list: [{ id: 2, name: 3 }, { id: 5, name: 'e' }] }, { compareMode: 'structure', compareAutoKey: true })
+  assert.deepEqual(changes(shared), [['type', 'list[id=2].name', 'b', 3]])
+  assert.deepEqual(shared.removed.map(item => item.path), ['list[id=1]'])
+  assert.deepEqual(shared.added.map(item => item.path), ['list[id=5]'])
+
+  const disjoint = compare(left, { list: [{ id: 3, name: 'c' }] }, { compareMode: 'structure', compareAutoKey: true })
+  assert.deepEqual([disjoint.added, disjoint.removed, disjoint.changed], [[], [], []])
+})
+
+test('忽略规则支持路径通配与字段名正则', () => {
+  const left = { data: { list: [{ id: 1, updatedAt: 1, meta: { traceId: 'a' } }] }, requestId: 'x' }
+  const right = { data: { list: [{ id: 1, updatedAt: 2, meta: { traceId: 'b' } }] }, requestId: 'y' }
+
+  const result = compare(left, right, { compareIgnoreRules: 'data.list[].updatedAt, **.traceId /^request/i' })
+  assert.deepEqual(changes(result), [])
+  assert.deepEqual(result.ignored.sort(), ['data.list[].meta.traceId', 'data.list[].updatedAt', 'requestId'])
+  assert.deepEqual(result.documents[0], { data: { list: [{ id: 1, meta: {} }] } })
+
+  assert.deepEqual(changes(compare(left, right, { compareIgnoreRules: 'data.*.updatedAt' })).map(item => item[1]),
+    ['data.list[0].meta.traceId', 'requestId'])
+  assert.throws(() => core.parseCompareIgnoreRules('/[/'), /不是有效的正则表达式/)
+})
+
+test('JSON Patch 把左侧变为右侧，路径按 RFC 6901 转义', () => {
+  const left = { 'a/b': 1, 'c~d': [1, 2, 3], keep: true, gone: 0 }
+  const right = { 'a/b': 2, 'c~d': [1, 5], keep: true, added: { x: 1 } }
+  assert.deepEqual(plain(core.createJsonPatch(left, right)), [
+    { op: 'remove', path: '/gone' },
+    { op: 'replace', path: '/a~1b', value: 2 },
+    { op: 'replace', path: '/c~0d/1', value: 5 },
+    { op: 'remove', path: '/c~0d/2' },
+    { op: 'add', path: '/added', value: { x: 1 } }
+  ])
+  assert.deepEqual(plain(core.createJsonPatch([1], { a: 1 })), [{ op: 'replace', path: '', value: { a: 1 } }])
+})
+
+test('导出 Markdown 与 HTML 时转义特殊字符', () => {
+  const left = { 'a|b': 'x|y', note: 'line1\nline2', html: '<b>' }
+  const right = { 'a|b': 'z', note: 'ok', html: '<script>alert(1)</script>' }
+  const compareOptions = core.getCompareOptions({ compareMode: 'value' })
+  const cache = core.createCompareRenderData(core.compareDocuments(left, right, compareOptions), compareOptions)
+
+  const markdown = core.compareToMarkdown(cache)
+  assert.match(markdown, /\| 取值 \| `a\\\|b` \| x\\\|y \| z \|/)
+  assert.match(markdown, /\| `note` \| line1<br>line2 \| ok \|/)
+  assert.match(markdown, /\| &lt;b> \| &lt;script>alert\(1\)&lt;\/script> \|/)
+
+  const html = core.compareToHtmlReport(cache, { '--bg-primary': '#fff' })
+  assert.match(html, /--bg-primary: #fff;/)
+  assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/)
+  assert.doesNotMatch(html, /<script>/)
+})
+
+const alignedRows = (a, b, options = {}) => plain(core.createAlignedView(a, b, core.getCompareOptions({ compareMode: 'value', ...options })).rows)
+  .map(row => [row.kind, row.left, row.right])
+
+test('并排视图中无主键的数组按内容配对，插入元素不会使后续元素错位', () => {
+  assert.deepEqual(alignedRows([1, 2, 3], [0, 1, 2, 3]), [
+    ['same', '[', '['],
+    ['added', null, '  0,'],
+    ['same', '  1,', '  1,'],
+    ['same', '  2,', '  2,'],
+    ['same', '  3', '  3'],
+    ['same', ']', ']']
+  ])
+  assert.deepEqual(alignedRows([{ a: 1 }, { a: 2 }], [{ a: 1 }, { a: 3 }]).filter(row => row[0] !== 'same'), [
+    ['changed', '    "a": 2', '    "a": 3']
+  ])
+})
+
+test('并排视图中位置变化的元素在两侧原位置标为移动', () => {
+  assert.deepEqual(alignedRows(['x', 'y', 'z'], ['z', 'x', 'y']).slice(1, -1), [
+    ['move', null, '  "z",'],
+    ['same', '  "x",', '  "x",'],
+    ['same', '  "y",', '  "y"'],
+    ['move', '  "z"', null]
+  ])
+  assert.deepEqual(alignedRows(['x', 'y', 'z'], ['z', 'x', 'y'], { compareIgnoreOrder: true }).map(row => row[0]),
+    ['same', 'same', 'same', 'same', 'same', 'same'])
+})
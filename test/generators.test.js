@@ -0,0 +1,265 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { execFileSync, spawnSync } = require('node:child_process')
+const { loadCore, plain } = require('./helpers/load-core')
+
+const core = loadCore()
+
+// 执行生成代码的测试依赖本机的 python3，未安装时跳过
+const hasPython = spawnSync('python3', ['--version']).status === 0
+
+const sample = {
+  id: 1,
+  name: 'a',
+  tags: ['x'],
+  profile: { email: 'a@b.com', createdAt: '2024-01-01T00:00:00Z' },
+  score: 1.5,
+  active: true
+}
+
+const generate = (format, data = sample, options = {}) => core.CODE_OUTPUT_FORMATS[format].toText(data, { rootName: 'User', ...options })
+
+/**
+ * 断言输出依次包含各片段（去掉行首缩进后按行匹配）
+ */
+function assertLines(text, expected) {
+  const lines = text.split('\n').map(line => line.trim())
+  for (const line of expected) assert.ok(lines.includes(line), `缺少 ${JSON.stringify(line)}：\n${text}`)
+}
+
+test('TypeScript', () => {
+  assertLines(generate('typescript'), ['interface User {', 'id: number;', 'tags: string[];', 'score: number;', 'profile: {', 'email: string;'])
+  assertLines(generate('typescript', sample, { tsDeclaration: 'type' }), ['type User = {'])
+})
+
+test('Zod', () => {
+  assertLines(generate('zod'), ['export const UserSchema = z.object({', 'id: z.number(),', 'email: z.string().email(),', 'export type User = z.infer<typeof UserSchema>;'])
+})
+
+test('Go', () => {
+  assertLines(generate('go'), ['type User struct {', 'type UserProfile struct {'])
+  assert.match(generate('go'), /ID\s+int64\s+`json:"id,omitempty"`/)
+  assert.match(generate('go'), /Score\s+float64/)
+})
+
+test('Kotlin', () => {
+  assertLines(generate('kotlin'), ['data class User(', 'val id: Long,', 'val tags: List<String>,', 'val score: Double,', 'data class Profile('])
+})
+
+test('Java', () => {
+  assertLines(generate('java'), ['public class User {', 'private long id;', 'private List<String> tags;', 'public boolean isActive() { return active; }'])
+  assertLines(generate('java', sample, { javaStyle: 'record' }), ['public record User('])
+})
+
+test('未选择注解库时 Kotlin / Java 保留原始键名', () => {
+  const data = { user_name: 'a', 'first-name': 'b', 123: 1 }
+  assertLines(generate('kotlin', data), ['val user_name: String,', 'val `first-name`: String,', 'val `123`: Long,'])
+  assertLines(generate('java', data), ['private String user_name;', '// 键名 "first-name" 不是合法的字段名，需选择键名注解才能绑定', 'private String firstName;'])
+  assertLines(generate('kotlin', data, { jvmAnnotation: 'kotlinx' }), ['@SerialName("user_name") val userName: String,', '@SerialName("first-name") val firstName: String,'])
+  assertLines(generate('java', data, { jvmAnnotation: 'jackson' }), ['@JsonProperty("user_name") private String userName;'])
+})
+
+test('Python', () => {
+  assertLines(generate('python'), ['@dataclass', 'class User:', 'id: int', 'tags: list[str]', 'profile: UserProfile', 'score: float'])
+  assertLines(generate('python', sample, { pythonStyle: 'pydantic' }), ['class User(BaseModel):'])
+})
+
+test('Python 非法键名：Pydantic 使用 alias，dataclass 生成 from_dict', () => {
+  const data = { 'first-name': 'a', class: 1, list: [1] }
+  const dataclassText = generate('python', data)
+  assert.doesNotMatch(dataclassText, /metadata/)
+  assertLines(dataclassText, ['first_name: str', 'list_: list[int]', 'def from_dict(cls, data: dict[str, Any]) -> "User":', 'first_name=data["first-name"],', 'class_=data["class"],'])
+  assertLines(generate('python', data, { pythonStyle: 'pydantic' }), ['first_name: str = Field(alias="first-name")', 'class_: int = Field(alias="class")', 'list_: list[int] = Field(alias="list")'])
+})
+
+test('生成的 dataclass 可以执行，from_dict 递归构造嵌套模型', { skip: !hasPython && '未安装 python3' }, () => {
+  const data = [
+    { id: 1, type: 'a', 'first-name': 'x', list: [1], dict: { str: 's' }, items: [{ v: 1 }], profile: { tags: [{ name: 't' }] } },
+    { id: 2, type: 'b', 'first-name': 'y', profile: null, extra: 1.5 }
+  ]
+  const script = [
+    generate('python', data),
+    'import json, sys',
+    'docs = [UserItem.from_dict(doc) for doc in json.loads(sys.stdin.read())]',
+    'print(json.dumps([[doc.id, doc.type, doc.first_name, doc.list_, doc.dict_.str_ if doc.dict_ else None, doc.items[0].v if doc.items else None, doc.profile.tags[0].name if doc.profile else None, doc.extra] for doc in docs]))'
+  ].join('\n')
+  const output = execFileSync('python3', ['-c', script], { input: JSON.stringify(data), encoding: 'utf8', stdio: 'pipe' })
+  assert.deepEqual(JSON.parse(output), [[1, 'a', 'x', [1], 's', 1, 't', null], [2, 'b', 'y', null, null, null, null, 1.5]])
+})
+
+test('Rust', () => {
+  assertLines(generate('rust'), ['pub struct User {', 'pub id: i64,', 'pub tags: Vec<String>,', 'pub profile: UserProfile,'])
+})
+
+test('Swift', () => {
+  assertLines(generate('swift'), ['struct User: Codable {', 'let id: Int', 'let tags: [String]', 'let profile: UserProfile'])
+})
+
+test('Dart', () => {
+  assertLines(generate('dart'), ['class User {', 'final int id;', 'final List<String> tags;', 'factory User.fromJson(Map<String, dynamic> json) => User('])
+})
+
+test('Protobuf', () => {
+  assertLines(generate('protobuf'), ['syntax = "proto3";', 'message User {', 'int64 id = 1;', 'repeated string tags = 3;', 'UserProfile profile = 4;'])
+})
+
+test('混合类型退化为动态类型时不提升其中的对象', () => {
+  const data = { mixed: [{ a: 1 }, 'x'], list: [{ b: 1 }, null] }
+  for (const format of ['go', 'kotlin', 'java', 'rust', 'swift', 'dart', 'protobuf', 'graphql']) {
+    const text = generate(format, data)
+    assert.doesNotMatch(text, /MixedItem/, format)
+    assert.match(text, /ListItem/, format)
+  }
+  assert.match(generate('python', data), /class UserMixedItem/)
+})
+
+test('GraphQL', () => {
+  assertLines(generate('graphql'), ['type User {', 'id: Int!', 'tags: [String!]!', 'profile: UserProfile!'])
+})
+
+test('JSON Schema', () => {
+  const schema = JSON.parse(generate('jsonSchema'))
+  assert.equal(schema.type, 'object')
+  assert.deepEqual(schema.properties.tags, { type: 'array', items: { type: 'string' } })
+  assert.equal(schema.properties.profile.properties.email.format, 'email')
+})
+
+test('JSON Schema 整数样本使用 integer', () => {
+  const schema = JSON.parse(generate('jsonSchema', { id: 1, price: 1.5, list: [1, 2], mixed: [1, 2.5], code: [1, 'a'] }))
+  assert.equal(schema.properties.id.type, 'integer')
+  assert.equal(schema.properties.price.type, 'number')
+  assert.equal(schema.properties.list.items.type, 'integer')
+  assert.equal(schema.properties.mixed.items.type, 'number')
+  assert.deepEqual(schema.properties.code.items.type, ['integer', 'string'])
+})
+
+test('OpenAPI', () => {
+  const text = generate('openapi', sample, { openapiFormat: 'json', requestUrl: 'https://api.example.com/users?page=1' })
+  const snippet = JSON.parse(text)
+  assert.ok(snippet.paths['/users'])
+})
+
+test('代码输出的高亮 HTML 与纯文本内容一致', () => {
+  for (const [format, codeFormat] of Object.entries(core.CODE_OUTPUT_FORMATS)) {
+    const options = { rootName: 'User' }
+    const source = codeFormat.toText(sample, options)
+    const html = codeFormat.highlight(source, options)
+    const text = html.replace(/<[^>]+>/g, '').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&')
+    assert.equal(text, source, format)
+  }
+})
+
+test('高亮 HTML 按行切分后每行标签闭合，跨行的标签在下一行重新打开', () => {
+  const html = '<span class="comment">/**\n * a &amp; b\n */</span>\n<span class="key">x</span>'
+  assert.deepEqual(plain(core.splitHighlightedLines(html)), [
+    '<span class="comment">/**</span>',
+    '<span class="comment"> * a &amp; b</span>',
+    '<span class="comment"> */</span>',
+    '<span class="key">x</span>'
+  ])
+  assert.deepEqual(plain(core.splitHighlightedLines('<span class="a">ab&lt;c</span>de', 2)), [
+    '<span class="a">ab</span>',
+    '<span class="a">&lt;c</span>',
+    'de'
+  ])
+})
+
+test('Mock 数据按种子可复现', () => {
+  const typeInfo = core.inferType(sample)
+  const first = plain(core.generateMockData(typeInfo, { mockSeed: 'seed', mockCount: 3 }))
+  assert.equal(first.length, 3)
+  assert.deepEqual(plain(core.generateMockData(typeInfo, { mockSeed: 'seed', mockCount: 3 })), first)
+  assert.match(first[0].profile.email, /@/)
+})
+
+test('Mock 输入支持 TypeScript 类型声明', () => {
+  const { typeInfo, warnings } = core.parseMockSource('interface U { id: number; tags: string[]; role: "a" | "b" }')
+  assert.equal(warnings.length, 0)
+  const [doc] = plain(core.generateMockData(typeInfo, { mockSeed: '1' }))
+  assert.equal(typeof doc.id, 'number')
+  assert.ok(Array.isArray(doc.tags))
+  assert.ok(['a', 'b'].includes(doc.role))
+})
+
+test('Mock 输入支持 Date、元组、enum 与工具类型', () => {
+  const source = `export enum Status { Active = "active", Disabled = "disabled" }
+enum Level { Low, High = 10, Top }
+interface User { id: number; name: string; email: string }
+interface Page<T> { list: T[]; total: number }
+interface Item {
+  status: Status;
+  level: Level;
+  at: Date;
+  point: [number, string];
+  patch: Partial<User>;
+  scores: Record<'math' | 'art', number>;
+  brief: Pick<User, 'id'>;
+  page: Page<User>;
+}`
+  const [doc] = plain(core.generateMockData(core.parseMockSource(source).typeInfo, { mockSeed: '1' }))
+  assert.ok(['active', 'disabled'].includes(doc.status))
+  assert.ok([0, 10, 11].includes(doc.level))
+  assert.match(doc.at, /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/)
+  assert.equal(typeof doc.point[0], 'number')
+  assert.equal(typeof doc.point[1], 'string')
+  assert.equal(doc.point.length, 2)
+  assert.deepEqual(Object.keys(doc.scores), ['math', 'art'])
+  assert.deepEqual(Object.keys(doc.brief), ['id'])
+  assert.equal(typeof doc.page.list[0].email, 'string')
+})
+
+test('TypeScript enum 输出可以作为 Mock 输入', () => {
+  const data = ['on', 'off', 'on', 'off'].map(status => ({ status }))
+  const source = generate('typescript', data, { tsEnumStyle: 'enum', enumThreshold: 3 })
+  assert.match(source, /enum /)
+  const [doc] = plain(core.generateMockData(core.parseMockSource(source).typeInfo, { mockSeed: '1' }))
+  assert.ok(doc.every(item => ['on', 'off'].includes(item.status)))
+})
+
+test('Mock 输入跳过或近似处理无法生成数据的 TypeScript 成员并给出提示', () => {
+  const source = `interface Widget {
+  id: number;
+  onClick: (event: MouseEvent) => void;
+  render(): string;
+  handlers?: Array<() => void>;
+  cache: Map<string, number>;
+  tags: Set<string>;
+  config: typeof defaults;
+  owner: Foo;
+  label: string | (() => string);
+  kind: keyof Shape;
+  width: Shape['w'];
+  flags: { readonly [K in 'a' | 'b']?: boolean };
+  picked: Shape extends object ? number : string;
+}
+interface Shape { w: number; h: number }`
+  const { typeInfo, warnings } = core.parseMockSource(source)
+  const [doc] = plain(core.generateMockData(typeInfo, { mockSeed: '1' }))
+  assert.ok(!('onClick' in doc) && !('render' in doc))
+  assert.equal(typeof doc.id, 'number')
+  assert.ok(doc.handlers === undefined || doc.handlers.every(item => item === null))
+  assert.ok(Object.values(doc.cache).every(value => typeof value === 'number'))
+  assert.ok(doc.tags.every(value => typeof value === 'string'))
+  assert.equal(typeof doc.config, 'string')
+  assert.equal(typeof doc.owner, 'string')
+  assert.equal(typeof doc.label, 'string')
+  assert.ok(['w', 'h'].includes(doc.kind))
+  assert.equal(typeof doc.width, 'number')
+  assert.ok(Object.keys(doc.flags).every(key => ['a', 'b'].includes(key)))
+  assert.ok(['number', 'string'].includes(typeof doc.picked))
+  assert.deepEqual([...warnings].sort(), [
+    'Map 按普通对象生成',
+    'Set 按数组生成',
+    'typeof defaults 按 any 生成',
+    '未找到类型 "Foo" 的声明，按 any 生成',
+    '映射类型按 Record 生成',
+    '条件类型按两个分支的联合生成',
+    '跳过函数类型字段 "onClick"',
+    '跳过函数类型字段 "render"'
+  ].sort())
+})
+
+test('Mock 输入仍拒绝无法解析的 TypeScript 语法', () => {
+  assert.throws(() => core.parseMockSource('interface A { x: number'), /缺少 "}"/)
+  assert.throws(() => core.parseMockSource('type T = [...string[]]'), /不支持元组剩余元素/)
+})
@@ -0,0 +1,27 @@
+/**
+ * 在独立的 vm 上下文中加载 popup/core.js（与 Worker 中 importScripts 相同，按普通脚本执行）
+ * 返回的对象按名称读取脚本顶层声明，函数与 const 常量均可访问
+ */
+const fs = require('node:fs')
+const path = require('node:path')
+const vm = require('node:vm')
+
+const CORE_PATH = path.join(__dirname, '..', '..', 'popup', 'core.js')
+
+function loadCore() {
+  // 只提供 Worker 中同样可用的全局对象
+  const context = vm.createContext({ console, URL, URLSearchParams, TextEncoder, TextDecoder })
+  vm.runInContext(fs.readFileSync(CORE_PATH, 'utf8'), context, { filename: CORE_PATH })
+  return new Proxy({}, {
+    get: (_, name) => typeof name === 'string' ? vm.runInContext(name, context) : undefined
+  })
+}
+
+/**
+ * vm 上下文中创建的对象原型不同，转为普通 JSON 值后再做深比较
+ */
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value))
+}
+
+module.exports = { loadCore, plain }
@@ -0,0 +1,105 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { loadCore, plain } = require('./helpers/load-core')
+
+const core = loadCore()
+
+test('数组元素合并为一个类型，部分元素缺失的字段为可选', () => {
+  const typeInfo = core.inferType({ list: [{ a: 1, b: 'x' }, { a: 2 }] })
+  const item = typeInfo.fields.get('list').type.item
+  assert.equal(item.kind, 'object')
+  assert.equal(item.count, 2)
+  assert.equal(core.isOptionalField(item, item.fields.get('a')), false)
+  assert.equal(core.isOptionalField(item, item.fields.get('b')), true)
+})
+
+test('整数与小数合并后不再标记为整数', () => {
+  assert.equal(core.inferType([1, 2]).item.integer, true)
+  assert.equal(core.inferType([1, 2.5]).item.integer, false)
+})
+
+test('不同类型的取值合并为联合类型', () => {
+  const item = core.inferType([1, 'a', null]).item
+  assert.equal(item.kind, 'union')
+  assert.deepEqual(plain(item.variants.map(variant => variant.kind)), ['number', 'string', 'null'])
+})
+
+test('多文档输入合并为同一结构', () => {
+  const typeInfo = core.inferType([{ a: 1 }, { a: 2, b: true }], { multiDocument: true })
+  assert.equal(typeInfo.kind, 'object')
+  assert.equal(core.isOptionalField(typeInfo, typeInfo.fields.get('b')), true)
+})
+
+test('低基数字段识别为枚举', () => {
+  const data = ['open', 'closed', 'open', 'closed', 'open', 'open'].map(status => ({ status }))
+  const status = core.inferType(data, { enumThreshold: 5 }).item.fields.get('status').type
+  assert.deepEqual([...status.enumValues], ['closed', 'open'])
+  assert.equal(core.describeType(status), 'string<enum: "closed" | "open">')
+})
+
+test('枚举识别默认关闭，且只有一种取值的字段不视为枚举', () => {
+  const data = ['open', 'closed', 'open', 'closed'].map(status => ({ status, type: 'ticket' }))
+  assert.equal(core.inferType(data).item.fields.get('status').type.enumValues, undefined)
+  const fields = core.inferType(data, { enumThreshold: 5 }).item.fields
+  assert.equal(fields.get('type').type.enumValues, undefined)
+  assert.equal(core.describeType(fields.get('type').type), 'string')
+})
+
+test('字符串语义格式', () => {
+  assert.equal(core.detectStringFormat('2024-01-01T08:00:00Z'), 'date-time')
+  assert.equal(core.detectStringFormat('2024-01-01'), 'date')
+  assert.equal(core.detectStringFormat('550e8400-e29b-41d4-a716-446655440000'), 'uuid')
+  assert.equal(core.detectStringFormat('a@b.com'), 'email')
+  assert.equal(core.detectStringFormat('https://example.com/a'), 'uri')
+  assert.equal(core.detectStringFormat('192.168.1.1'), 'ipv4')
+  assert.equal(core.detectStringFormat('#ff8800'), 'hex-color')
+  assert.equal(core.detectStringFormat('hello world'), null)
+})
+
+test('base64 按字符集、补齐与长度识别', () => {
+  assert.equal(core.detectStringFormat('aGVsbG8gd29ybGQgZm9vIGJhcg=='), 'base64')
+  assert.equal(core.detectStringFormat('eyJpZCI6MSwibmFtZSI6ImEifQ=='), 'base64')
+  assert.equal(core.detectStringFormat('aGVsbG8gd29ybGQgZm9vIGJhcg'), null)
+  assert.equal(core.detectStringFormat('aGVsbG8gd29y=bGQgZm9vIGJhcg='), null)
+  assert.equal(core.detectStringFormat('12345678901234567890'), null)
+  assert.equal(core.detectStringFormat('HelloWorldFooBarBazQ'), null)
+})
+
+test('常见单词、人名与短 ID 不识别为 base64', () => {
+  for (const word of ['John', 'Test', 'Mike', 'Rose', 'Blue', 'Shanghai', 'user1234', 'Yes1', 'done', 'YWJj']) {
+    assert.equal(core.detectStringFormat(word), null, word)
+  }
+})
+
+test('时间戳需字段名带时间语义', () => {
+  assert.equal(core.detectNumberFormat(1700000000, 'createdAt'), 'unix-time')
+  assert.equal(core.detectNumberFormat(1700000000, 'userId'), null)
+  assert.equal(core.detectNumberFormat(1700000000000, 'updated_at'), 'unix-time-ms')
+  assert.equal(core.detectNumberFormat(1700000000000, 'orderId'), null)
+})
+
+test('结构描述标注可选字段与数组长度', () => {
+  const structure = core.extractStructure({ a: 1, b: [{ c: 'x' }, { c: 'y', d: true }] })
+  assert.equal(core.structureToText(structure, 0, false), [
+    '{',
+    '  "a": number,',
+    '  "b": array[2] {',
+    '    "c": string,',
+    '    "d?": boolean',
+    '  }',
+    '}'
+  ].join('\n'))
+})
+
+test('数组元素同时有对象与数组时展开对象结构，数组只作标签', () => {
+  for (const list of [[[1], { x: 1 }], [{ x: 1 }, [1]]]) {
+    const text = core.structureToText(core.extractStructure({ a: list }), 0, true)
+    assert.equal(text, '{"a": array[2] array | {"x": number}}')
+  }
+})
+
+test('结构行的节点路径不会因键名中的点号而重复', () => {
+  const rows = core.flattenStructureRows(core.extractStructure({ 'a.b': { c: 1 }, a: { b: { c: 1 } } }))
+  const paths = rows.filter(row => row.kind === 'open').map(row => row.path)
+  assert.equal(new Set(paths).size, paths.length)
+})
@@ -0,0 +1,72 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { loadCore, plain } = require('./helpers/load-core')
+
+const core = loadCore()
+
+test('标准 JSON 直接解析，无修复项', () => {
+  assert.deepEqual(plain(core.parseJsonInput('{"a":[1,2],"b":null}')), {
+    data: { a: [1, 2], b: null },
+    repairs: [],
+    documents: null
+  })
+})
+
+test('宽松解析修复 JS 对象字面量并记录修复项', () => {
+  const result = plain(core.parseJsonInput('{a: 1, b: [1, 2,], // 注释\n}'))
+  assert.deepEqual(result.data, { a: 1, b: [1, 2] })
+  assert.deepEqual(result.repairs.sort(), ['尾随逗号', '未加引号的键名', '注释'].sort())
+})
+
+test('宽松解析支持非 ASCII 的未加引号键名', () => {
+  const result = plain(core.parseJsonInput('{名字: 1, prénom: "a", ключ: [2]}'))
+  assert.deepEqual(result.data, { 名字: 1, prénom: 'a', ключ: [2] })
+  assert.deepEqual(result.repairs, ['未加引号的键名'])
+})
+
+test('宽松解析兼容 Python repr', () => {
+  const result = plain(core.parseJsonInput("{'a': True, 'b': None, 'c': (1, 2)}"))
+  assert.deepEqual(result.data, { a: true, b: null, c: [1, 2] })
+})
+
+test('严格模式报告错误行列', () => {
+  assert.throws(
+    () => core.parseJsonInput('{"a": 1,\n"b": }', { tolerantParse: false }),
+    error => error.line === 2 && error.column === 6 && /意外的字符/.test(error.message)
+  )
+})
+
+test('严格模式拒绝宽松语法', () => {
+  assert.throws(() => core.parseJsonInput('{a: 1}', { tolerantParse: false }), /键名必须使用双引号/)
+})
+
+test('NDJSON 逐行解析为文档数组', () => {
+  const result = plain(core.parseJsonInput('{"a":1}\n{"a":2}\n\n[3]\n'))
+  assert.deepEqual(result.data, [{ a: 1 }, { a: 2 }, [3]])
+  assert.deepEqual(result.documents, { count: 3, errors: [] })
+})
+
+test('NDJSON 出错文档按起始行报告', () => {
+  const result = plain(core.parseJsonInput('{"a":1}\n{bad\n{"a":2}'))
+  assert.deepEqual(result.data, [{ a: 1 }, { a: 2 }])
+  assert.equal(result.documents.errors[0].line, 2)
+  assert.equal(result.documents.errors[0].offset, 8)
+  assert.match(result.documents.errors[0].message, /^第 2 行开始的文档解析失败/)
+})
+
+test('首尾相接的多个 JSON 按多文档解析', () => {
+  const result = plain(core.parseJsonInput('{"a":1}{"a":2} {"a":3}'))
+  assert.deepEqual(result.data, [{ a: 1 }, { a: 2 }, { a: 3 }])
+})
+
+test('多文档解析回报进度', () => {
+  const progress = []
+  const text = Array.from({ length: 500 }, (_, i) => JSON.stringify({ i })).join('\n')
+  core.parseJsonInput(text, { onProgress: ratio => progress.push(ratio) })
+  assert.ok(progress.length > 10)
+  assert.ok(progress.every((ratio, i) => ratio > 0 && ratio < 1 && (i === 0 || ratio > progress[i - 1])))
+})
+
+test('所有文档均失败时抛出错误', () => {
+  assert.throws(() => core.parseJsonDocuments('{bad\n{bad', false), /所有文档均解析失败/)
+})
@@ -0,0 +1,52 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { loadCore, plain } = require('./helpers/load-core')
+
+const core = loadCore()
+
+const store = {
+  store: {
+    book: [
+      { title: 'A', price: 8, tags: ['x'] },
+      { title: 'B', price: 12 },
+      { title: 'C', price: 22 }
+    ]
+  }
+}
+
+const query = (expression, language) => plain(core.runJsonQuery(store, expression, language))
+
+test('JSONPath 通配、递归下降与多选', () => {
+  assert.deepEqual(query('$.store.book[*].title', 'jsonpath'), { value: ['A', 'B', 'C'], count: 3 })
+  assert.deepEqual(query('$..price', 'jsonpath'), { value: [8, 12, 22], count: 3 })
+  assert.deepEqual(query('$.store.book[0,2].title', 'jsonpath'), { value: ['A', 'C'], count: 2 })
+})
+
+test('JSONPath 过滤与切片', () => {
+  assert.deepEqual(query('$.store.book[?(@.price > 10)].title', 'jsonpath').value, ['B', 'C'])
+  assert.deepEqual(query('$.store.book[?(@.tags)].title', 'jsonpath').value, ['A'])
+  assert.deepEqual(query('$.store.book[-1:].title', 'jsonpath').value, ['C'])
+  assert.deepEqual(query('$.store.book[::2].title', 'jsonpath').value, ['A', 'C'])
+})
+
+test('JSONPath 语法错误给出位置', () => {
+  assert.throws(() => core.runJsonQuery(store, '$[', 'jsonpath'), /JSONPath 语法错误/)
+})
+
+test('JMESPath 投影、过滤与管道', () => {
+  assert.deepEqual(query('store.book[*].title', 'jmespath').value, ['A', 'B', 'C'])
+  assert.deepEqual(query('store.book[?price > `10`].title', 'jmespath').value, ['B', 'C'])
+  assert.equal(query('store.book | [0].title', 'jmespath').value, 'A')
+})
+
+test('JMESPath 多选哈希与函数', () => {
+  assert.deepEqual(query('store.book[0].{t: title, p: price}', 'jmespath').value, { t: 'A', p: 8 })
+  assert.equal(query('length(store.book)', 'jmespath').value, 3)
+  assert.equal(query('sort_by(store.book, &price)[-1].title', 'jmespath').value, 'C')
+  assert.equal(query('max_by(store.book, &price).title', 'jmespath').value, 'C')
+})
+
+test('多文档输入逐个文档应用查询', () => {
+  const docs = [{ a: 1 }, { a: 2 }]
+  assert.deepEqual(plain(core.applyInputQuery(docs, { count: 2, errors: [] }, { query: '$.a', queryLanguage: 'jsonpath' })), [1, 2])
+})